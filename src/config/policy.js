@@ -0,0 +1,112 @@
+// Cấu hình chính sách nhân sự, có thể ghi đè bằng biến môi trường
+const num = (value, fallback) => {
+  const parsed = Number(value);
+  return value === undefined || value === '' || isNaN(parsed) ? fallback : parsed;
+};
+
+module.exports = {
+  // Múi giờ của tổ chức, dùng để xác định "hôm nay", giờ vào ca và ranh giới tháng.
+  // Nhân viên hoặc phòng ban (chi nhánh) có thể dùng múi giờ riêng.
+  timezone: process.env.ORG_TIMEZONE || 'Asia/Ho_Chi_Minh',
+  // Ca làm việc mặc định khi nhân viên và phòng ban chưa được gán ca
+  shift: {
+    name: 'Ca hành chính',
+    startTime: process.env.SHIFT_START_TIME || '08:00',
+    endTime: process.env.SHIFT_END_TIME || '17:00',
+    breakMinutes: num(process.env.SHIFT_BREAK_MINUTES, 60),
+    gracePeriodMinutes: num(process.env.SHIFT_GRACE_MINUTES, 0),
+    workingDays: [1, 2, 3, 4, 5]
+  },
+  attendance: {
+    // Bản ghi mở quá số giờ này không còn được check-out trực tiếp
+    maxSessionHours: num(process.env.ATTENDANCE_MAX_SESSION_HOURS, 24),
+    // Chấm công ngoài khu vực văn phòng: 'enforce' từ chối, 'flag' vẫn ghi nhận nhưng đánh dấu.
+    // Chỉ áp dụng khi nhân viên có địa điểm văn phòng được cấu hình.
+    geofenceMode: process.env.ATTENDANCE_GEOFENCE_MODE || 'enforce',
+    // Chấm công không có GPS từ ngoài dải mạng văn phòng: 'enforce' từ chối, 'remote' ghi nhận làm việc từ xa
+    networkMode: process.env.ATTENDANCE_NETWORK_MODE || 'enforce',
+    // Quy định đi muộn/về sớm. Thời gian ân hạn đi muộn được cấu hình theo từng ca.
+    punctuality: {
+      // Về sớm không quá số phút này không bị tính
+      earlyLeaveGraceMinutes: num(process.env.ATTENDANCE_EARLY_LEAVE_GRACE_MINUTES, 0),
+      // Đi muộn hoặc về sớm từ số phút này trở lên bị tính vắng nửa ngày
+      halfDayLateMinutes: num(process.env.ATTENDANCE_HALF_DAY_LATE_MINUTES, 120),
+      halfDayEarlyLeaveMinutes: num(process.env.ATTENDANCE_HALF_DAY_EARLY_LEAVE_MINUTES, 120),
+      // Số lần đi muộn được phép mỗi tháng, vượt quá bị ghi nhận vi phạm
+      monthlyLateAllowance: num(process.env.ATTENDANCE_MONTHLY_LATE_ALLOWANCE, 3)
+    },
+    // Thời gian hiệu lực (giây) của mã QR hiển thị trên kiosk chấm công và khóa ký mã,
+    // tách riêng với JWT_SECRET của tài khoản người dùng
+    kiosk: {
+      tokenTtlSeconds: num(process.env.KIOSK_TOKEN_TTL_SECONDS, 30),
+      tokenSecret: process.env.KIOSK_TOKEN_SECRET
+    },
+    // Nhập dữ liệu từ máy chấm công vân tay: các lần quét cách nhau dưới số phút này
+    // (kể cả với giờ vào/ra đã có) được coi là trùng
+    import: {
+      duplicateWindowMinutes: num(process.env.ATTENDANCE_IMPORT_DUPLICATE_MINUTES, 2),
+      maxFileSizeMB: num(process.env.ATTENDANCE_IMPORT_MAX_FILE_MB, 10)
+    },
+    // Job hằng đêm đóng các lượt chưa check-out và ghi nhận vắng mặt của ngày hôm trước
+    closingJob: {
+      enabled: process.env.ATTENDANCE_CLOSING_JOB !== 'false',
+      time: process.env.ATTENDANCE_CLOSING_TIME || '02:00'
+    },
+    // Các loại nghỉ giữa giờ và việc có được tính lương hay không
+    breakTypes: {
+      meal: { isPaid: false },
+      rest: { isPaid: true },
+      personal: { isPaid: false },
+      field_work: { isPaid: true }
+    }
+  },
+  // Khung giờ làm việc ban đêm (22:00 - 06:00) và phụ cấp tối thiểu 30%
+  night: {
+    startTime: process.env.NIGHT_START_TIME || '22:00',
+    endTime: process.env.NIGHT_END_TIME || '06:00',
+    premiumRate: num(process.env.NIGHT_PREMIUM_RATE, 0.3)
+  },
+  // Hệ số lương làm thêm giờ theo loại ngày (tối thiểu 150% ngày thường, 200% ngày nghỉ hằng tuần,
+  // 300% ngày lễ) và phần trả thêm khi làm thêm vào ban đêm (20% lương làm thêm ban ngày).
+  // Nhân viên có hệ số overtimeRate riêng thì hệ số đó thay cho hệ số ngày thường.
+  overtime: {
+    rates: {
+      weekday: num(process.env.OVERTIME_WEEKDAY_RATE, 1.5),
+      weekend: num(process.env.OVERTIME_WEEKEND_RATE, 2),
+      holiday: num(process.env.OVERTIME_HOLIDAY_RATE, 3)
+    },
+    nightPremiumRate: num(process.env.OVERTIME_NIGHT_PREMIUM_RATE, 0.2),
+    // Giới hạn giờ làm thêm: không quá 50% giờ làm việc bình thường của ca trong ngày (tổng không
+    // quá 12 giờ vào ngày nghỉ, ngày lễ), 40 giờ mỗi tháng và 200 giờ mỗi năm
+    caps: {
+      dailyRatio: num(process.env.OVERTIME_DAILY_CAP_RATIO, 0.5),
+      nonWorkingDaily: num(process.env.OVERTIME_NON_WORKING_DAILY_CAP_HOURS, 12),
+      monthly: num(process.env.OVERTIME_MONTHLY_CAP_HOURS, 40),
+      yearly: num(process.env.OVERTIME_YEARLY_CAP_HOURS, 200)
+    },
+    // Yêu cầu vượt giới hạn: 'block' từ chối, 'warn' vẫn ghi nhận nhưng trả về cảnh báo
+    capMode: process.env.OVERTIME_CAP_MODE || 'block'
+  },
+  leave: {
+    // Số ngày nghỉ được hưởng mỗi năm theo loại nghỉ (unpaid, other không giới hạn)
+    entitlements: {
+      annual: num(process.env.LEAVE_ANNUAL_DAYS, 12),
+      sick: num(process.env.LEAVE_SICK_DAYS, 30),
+      // Nghỉ bù không được cấp sẵn, chỉ cộng từ giờ làm thêm đã chọn nghỉ bù thay cho tiền lương
+      compensatory: 0
+    },
+    // Các loại nghỉ vẫn được trả lương theo giờ chuẩn của ca
+    paidTypes: ['annual', 'sick', 'compensatory'],
+    // Số giờ nghỉ bù quy đổi thành một ngày nghỉ
+    compensatoryHoursPerDay: num(process.env.LEAVE_COMPENSATORY_HOURS_PER_DAY, 8),
+    // Các loại nghỉ được cộng dồn theo tháng thay vì cấp đủ từ đầu năm
+    monthlyAccrualTypes: ['annual'],
+    // Cứ đủ mỗi 5 năm làm việc được cộng thêm 1 ngày phép năm
+    seniorityYears: num(process.env.LEAVE_SENIORITY_YEARS, 5),
+    seniorityBonusDays: num(process.env.LEAVE_SENIORITY_BONUS_DAYS, 1)
+  },
+  remote: {
+    // Số ngày làm việc từ xa tối đa mỗi tháng (nhân viên có thể có định mức riêng)
+    daysPerMonth: num(process.env.REMOTE_DAYS_PER_MONTH, 8)
+  }
+};
@@ -12,10 +12,22 @@ const authRouter = require('./routes/auth');
 const employeesRouter = require('./routes/employees');
 const departmentsRouter = require('./routes/departments');
 const attendanceRouter = require('./routes/attendance');
+const attendanceRecordsRouter = require('./routes/attendanceRecords');
+const leavesRouter = require('./routes/leaves');
+const correctionsRouter = require('./routes/corrections');
+const remoteWorkRouter = require('./routes/remoteWork');
+const holidaysRouter = require('./routes/holidays');
+const shiftsRouter = require('./routes/shifts');
+const locationsRouter = require('./routes/locations');
+const kiosksRouter = require('./routes/kiosks');
+const periodsRouter = require('./routes/periods');
 const statisticsRouter = require('./routes/statistics');
 const activityLogsRouter = require('./routes/activityLogs');
 const overtimeRouter = require('./routes/overtime');
+const overtimePlansRouter = require('./routes/overtimePlans');
+const payrollRouter = require('./routes/payroll');
 const usersRouter = require('./routes/users');
+const { scheduleAttendanceClosing } = require('./jobs/attendanceClosing');
 
 
 const app = express();
@@ -46,6 +58,42 @@ const options = {
         name: 'Attendance',
         description: 'API quản lý chấm công và nghỉ phép'
       },
+      {
+        name: 'AttendanceRecords',
+        description: 'API quản lý trực tiếp bản ghi chấm công'
+      },
+      {
+        name: 'Leave',
+        description: 'API quản lý đơn nghỉ phép'
+      },
+      {
+        name: 'Corrections',
+        description: 'API yêu cầu điều chỉnh chấm công'
+      },
+      {
+        name: 'RemoteWork',
+        description: 'API đăng ký làm việc từ xa'
+      },
+      {
+        name: 'Holidays',
+        description: 'API quản lý ngày lễ'
+      },
+      {
+        name: 'Shifts',
+        description: 'API quản lý ca làm việc'
+      },
+      {
+        name: 'Locations',
+        description: 'API quản lý địa điểm văn phòng được phép chấm công'
+      },
+      {
+        name: 'Kiosks',
+        description: 'API quản lý kiosk chấm công bằng mã QR'
+      },
+      {
+        name: 'Periods',
+        description: 'API khóa/mở kỳ chấm công sau khi chốt lương'
+      },
       {
         name: 'Statistics',
         description: 'API thống kê'
@@ -57,6 +105,14 @@ const options = {
       {
         name: 'Overtime',
         description: 'API quản lý làm thêm giờ'
+      },
+      {
+        name: 'OvertimePlans',
+        description: 'API kế hoạch làm thêm giờ theo nhóm'
+      },
+      {
+        name: 'Payroll',
+        description: 'API kỳ lương và phiếu lương'
       }
     ],
     components: {
@@ -66,6 +122,11 @@ const options = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        kioskKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Kiosk-Key',
+        },
       },
     },
   },
@@ -95,6 +156,13 @@ app.get('/swagger.json', (req, res) => {
   res.send(specs);
 });
 
+// Khi chạy sau reverse proxy, TRUST_PROXY (true, số proxy hoặc danh sách IP/CIDR tin cậy)
+// cho phép req.ip lấy địa chỉ thật từ X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(express.json());
 app.use(cors({
@@ -104,6 +172,7 @@ app.use(cors({
   allowedHeaders: [
     'Content-Type', 
     'Authorization',
+    'X-Kiosk-Key',
     'Cache-Control',
     'Pragma',
     'Expires'
@@ -138,17 +207,32 @@ mongoose.connect(process.env.MONGODB_URI, {
   socketTimeoutMS: 45000,
   autoIndex: true
 })
-.then(() => console.log('Connected to MongoDB'))
+.then(() => {
+  console.log('Connected to MongoDB');
+  // Job hằng đêm đóng lượt chưa check-out và ghi nhận vắng mặt
+  scheduleAttendanceClosing();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Routes
 app.use('/api/auth', authRouter);
 app.use('/api/employees', employeesRouter);
 app.use('/api/departments', departmentsRouter);
+app.use('/api/attendance/leave', leavesRouter);
+app.use('/api/attendance/corrections', correctionsRouter);
+app.use('/api/attendance/remote', remoteWorkRouter);
+app.use('/api/attendance/records', attendanceRecordsRouter);
 app.use('/api/attendance', attendanceRouter);
+app.use('/api/holidays', holidaysRouter);
+app.use('/api/shifts', shiftsRouter);
+app.use('/api/locations', locationsRouter);
+app.use('/api/kiosks', kiosksRouter);
+app.use('/api/periods', periodsRouter);
 app.use('/api/statistics', statisticsRouter);
 app.use('/api/logs', activityLogsRouter);
+app.use('/api/overtime/plans', overtimePlansRouter);
 app.use('/api/overtime', overtimeRouter);
+app.use('/api/payroll', payrollRouter);
 app.use('/api/users', usersRouter); 
 
 // Health check endpoint
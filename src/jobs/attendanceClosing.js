@@ -0,0 +1,122 @@
+const Attendance = require('../models/Attendance');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const Employee = require('../models/Employee');
+const Holiday = require('../models/Holiday');
+const Leave = require('../models/Leave');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const Shift = require('../models/Shift');
+const User = require('../models/User');
+const { attendance: attendancePolicy } = require('../config/policy');
+const { startOfDay, formatDate, addDays, setTime } = require('../utils/date');
+
+// Đóng các lượt chưa check-out khi ca làm việc (và giờ làm thêm đã duyệt trong ngày) đã kết thúc
+const closeOpenAttendances = async (now) => {
+  const attendances = await Attendance.find(Attendance.openFilter());
+  let closed = 0;
+
+  for (const attendance of attendances) {
+    const employee = await Employee.findById(attendance.employeeId);
+    if (!employee) continue;
+
+    const [shift, overtimeRequest] = await Promise.all([
+      Shift.resolveForAttendance(attendance, employee),
+      OvertimeRequest.findOne({ employeeId: attendance.employeeId, date: attendance.date, status: 'approved' })
+    ]);
+    if (now < attendance.getAutoCloseTime(shift, overtimeRequest)) continue;
+    // Không thay đổi dữ liệu của kỳ đã khóa sổ
+    if (await AttendancePeriod.findLocked(attendance.date, attendance.date, attendance.timezone)) continue;
+
+    attendance.closeAtShiftEnd(shift, { overtimeRequest });
+    await attendance.recompute(employee);
+    await attendance.save();
+    closed++;
+  }
+
+  return closed;
+};
+
+// Ghi nhận vắng mặt cho ngày date (YYYY-MM-DD) với nhân viên có lịch làm việc nhưng
+// không có bản ghi chấm công, không nghỉ phép đã duyệt và không phải ngày lễ
+const markAbsences = async (date) => {
+  const activeUserIds = await User.find({ isActive: true }).distinct('_id');
+  const employees = await Employee.find({ userId: { $in: activeUserIds } });
+  let absent = 0;
+
+  for (const employee of employees) {
+    const timeZone = await employee.resolveTimezone();
+    const day = startOfDay(date, timeZone);
+    if (employee.startDate && startOfDay(employee.startDate, timeZone) > day) continue;
+    if (await AttendancePeriod.findLocked(day, day, timeZone)) continue;
+
+    const shift = await Shift.resolveForEmployee(employee);
+    if (!shift.isWorkingDay(day, timeZone)) continue;
+
+    const [holidays, hasLeave] = await Promise.all([
+      Holiday.findInRange(day, day, timeZone),
+      Leave.exists({
+        employeeId: employee._id,
+        status: 'approved',
+        startDate: { $lte: day },
+        endDate: { $gte: day }
+      })
+    ]);
+    if (holidays.length > 0 || hasLeave) continue;
+
+    // Chỉ tạo mới khi chưa có bản ghi, không ghi đè nếu nhân viên vừa check-in trong lúc job đang chạy
+    const result = await Attendance.updateOne(
+      { employeeId: employee._id, date: day },
+      {
+        $setOnInsert: {
+          status: 'absent',
+          timezone: timeZone,
+          shiftId: shift.isNew ? undefined : shift._id,
+          note: 'Vắng mặt không phép'
+        }
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount > 0) absent++;
+  }
+
+  return absent;
+};
+
+// Đóng lượt chưa check-out và ghi nhận vắng mặt cho ngày date (mặc định hôm qua)
+const runAttendanceClosing = async ({ now = new Date(), date } = {}) => {
+  const targetDate = date || formatDate(addDays(now, -1));
+  const closed = await closeOpenAttendances(now);
+  const absent = await markAbsences(targetDate);
+  return { date: targetDate, closed, absent };
+};
+
+// Chạy job hằng ngày vào giờ cấu hình (theo múi giờ tổ chức) trong tiến trình server
+const scheduleAttendanceClosing = () => {
+  const { enabled, time } = attendancePolicy.closingJob;
+  if (!enabled) return;
+
+  const scheduleNext = () => {
+    const now = new Date();
+    let next = setTime(now, time);
+    if (next <= now) {
+      next = setTime(addDays(now, 1), time);
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const result = await runAttendanceClosing();
+        console.log('Attendance closing job:', result);
+      } catch (error) {
+        console.error('Attendance closing job error:', error);
+      }
+      scheduleNext();
+    }, next - now);
+    timer.unref();
+  };
+
+  scheduleNext();
+};
+
+module.exports = {
+  runAttendanceClosing,
+  scheduleAttendanceClosing
+};
@@ -7,7 +7,7 @@ const activityLogger = (action, entityType) => {
         userId: req.user._id,
         action,
         entityType,
-        entityId: req.params.id || req.body._id,
+        entityId: req.entityId || req.params.id || req.body._id,
         details: {
           before: req.originalBody,
           after: req.body,
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Employee = require('../models/Employee');
+const KioskDevice = require('../models/KioskDevice');
 
 const auth = async (req, res, next) => {
   try {
@@ -38,6 +39,24 @@ const isAdmin = (req, res, next) => {
   next();
 };
 
+// Xác thực thiết bị kiosk bằng khóa thiết bị trong header X-Kiosk-Key
+const kioskAuth = async (req, res, next) => {
+  try {
+    const kiosk = await KioskDevice.findByKey(req.header('X-Kiosk-Key'));
+    if (!kiosk) {
+      return res.status(401).json({ message: 'Thiết bị kiosk không hợp lệ' });
+    }
+
+    kiosk.lastSeenAt = new Date();
+    await kiosk.save();
+
+    req.kiosk = kiosk;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 // Middleware kiểm tra quyền sở hữu
 const isOwner = async (req, res, next) => {
   try {
@@ -57,4 +76,4 @@ const isOwner = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, isAdmin, isOwner }; 
\ No newline at end of file
+module.exports = { auth, isAdmin, isOwner, kioskAuth }; 
\ No newline at end of file
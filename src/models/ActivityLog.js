@@ -13,7 +13,7 @@ const activityLogSchema = new mongoose.Schema({
   },
   entityType: {
     type: String,
-    enum: ['employee', 'department', 'attendance', 'leave'],
+    enum: ['employee', 'department', 'attendance', 'leave', 'holiday', 'shift', 'correction', 'location', 'kiosk', 'remote', 'period', 'overtime', 'payroll'],
     required: true
   },
   entityId: {
@@ -1,4 +1,80 @@
 const mongoose = require('mongoose');
+const { defaultTimeZone, overlapDailyWindow, getDateParts, getMonthRange } = require('../utils/date');
+const { night: nightPolicy, attendance: attendancePolicy, leave: leavePolicy } = require('../config/policy');
+
+const HOUR = 1000 * 60 * 60;
+
+// Các trường được ghi lại trước/sau khi thay đổi bản ghi chấm công
+const TRACKED_FIELDS = ['status', 'workMode', 'checkIn', 'checkOut', 'lateMinutes', 'earlyLeaveMinutes', 'absenceDays', 'workingHours', 'overtime', 'nightHours', 'autoClosed'];
+
+// Vị trí thiết bị, địa chỉ IP khi chấm công và kết quả đối chiếu với địa điểm văn phòng
+const locationSchema = new mongoose.Schema({
+  latitude: Number,
+  longitude: Number,
+  accuracy: Number, // Độ chính xác GPS do thiết bị báo (mét)
+  ipAddress: String,
+  officeLocationId: {
+    type: mongoose.Schema.Types.ObjectId, // Địa điểm văn phòng khớp hoặc gần nhất
+    ref: 'OfficeLocation'
+  },
+  matchedBy: {
+    type: String, // Xác định theo tọa độ GPS, theo dải mạng, quét mã QR tại kiosk hay máy chấm công
+    enum: ['gps', 'network', 'kiosk', 'device']
+  },
+  deviceId: String, // Máy chấm công vân tay ghi nhận lần quét (khi nhập từ file)
+  kioskId: {
+    type: mongoose.Schema.Types.ObjectId, // Thiết bị kiosk đã phát mã QR
+    ref: 'KioskDevice'
+  },
+  distance: Number, // Khoảng cách đến địa điểm văn phòng (mét)
+  isOutside: {
+    type: Boolean,
+    default: false
+  },
+  isRemote: {
+    type: Boolean, // Chấm công từ ngoài mạng văn phòng được chấp nhận dạng làm việc từ xa
+    default: false
+  }
+}, { _id: false });
+
+// Một lượt vào/ra trong ngày
+const sessionSchema = new mongoose.Schema({
+  checkIn: {
+    type: Date,
+    required: true
+  },
+  checkOut: Date,
+  checkInLocation: locationSchema,
+  checkOutLocation: locationSchema
+});
+
+// Một lần nghỉ giữa giờ trong lượt làm việc
+const breakSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['meal', 'rest', 'personal', 'field_work'],
+    required: true
+  },
+  start: {
+    type: Date,
+    required: true
+  },
+  end: Date,
+  isPaid: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Vi phạm quy định đi muộn/về sớm
+const violationSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['late', 'early_leave', 'half_day_late', 'half_day_early_leave', 'late_over_allowance'],
+    required: true
+  },
+  minutes: Number
+}, { _id: false });
 
 const attendanceSchema = new mongoose.Schema({
   employeeId: {
@@ -12,19 +88,34 @@ const attendanceSchema = new mongoose.Schema({
   },
   checkIn: {
     type: Date,
-    required: true
+    required: function() { return this.status === 'present'; }
   },
   standardCheckIn: {
     type: Date,
-    required: true
+    required: function() { return this.status === 'present'; }
   },
   checkOut: {
     type: Date
   },
+  sessions: [sessionSchema],
+  breaks: [breakSchema],
+  breakMinutes: {
+    type: Number, // Tổng số phút nghỉ không tính lương
+    default: 0
+  },
   lateMinutes: {
     type: Number,
     default: 0
   },
+  earlyLeaveMinutes: {
+    type: Number, // Số phút về sớm so với giờ kết thúc ca
+    default: 0
+  },
+  violations: [violationSchema],
+  absenceDays: {
+    type: Number, // Số ngày vắng do đi muộn/về sớm vượt ngưỡng nửa ngày (0, 0.5 hoặc 1)
+    default: 0
+  },
   workingHours: {
     type: Number,
     default: 0
@@ -33,11 +124,56 @@ const attendanceSchema = new mongoose.Schema({
     type: Number, // Số giờ làm thêm
     default: 0
   },
+  nightHours: {
+    type: Number, // Số giờ làm việc trong khung giờ ban đêm
+    default: 0
+  },
+  dayType: {
+    type: String, // Loại ngày để tính hệ số làm thêm giờ: ngày làm việc, ngày nghỉ của ca, ngày lễ
+    enum: ['weekday', 'weekend', 'holiday']
+  },
+  overtimeNightHours: {
+    type: Number, // Phần giờ làm thêm rơi vào khung giờ ban đêm
+    default: 0
+  },
+  toilHours: {
+    type: Number, // Giờ làm thêm được cộng vào số dư nghỉ bù thay vì trả lương
+    default: 0
+  },
   status: {
     type: String,
     enum: ['present', 'absent', 'leave', 'holiday'],
     default: 'present'
   },
+  workMode: {
+    type: String, // Làm việc tại văn phòng hay từ xa theo đơn WFH đã duyệt
+    enum: ['office', 'remote'],
+    default: 'office'
+  },
+  shiftId: {
+    type: mongoose.Schema.Types.ObjectId, // Ca làm việc áp dụng khi chấm công
+    ref: 'Shift'
+  },
+  leaveId: {
+    type: mongoose.Schema.Types.ObjectId, // Đơn nghỉ phép đã sinh ra bản ghi này
+    ref: 'Leave'
+  },
+  // Trạng thái và ghi chú của bản ghi vắng mặt bị đơn nghỉ phép thay thế,
+  // dùng để khôi phục khi đơn bị hủy hoặc từ chối
+  previousStatus: {
+    type: String,
+    enum: ['absent']
+  },
+  previousNote: String,
+  timezone: String, // Múi giờ dùng để xác định ngày chấm công và giờ vào ca
+  autoClosed: {
+    type: Boolean, // Lượt chưa check-out đã được hệ thống tự đóng tại giờ kết thúc ca
+    default: false
+  },
+  locationFlagged: {
+    type: Boolean, // Có lượt chấm công ngoài khu vực văn phòng cho phép
+    default: false
+  },
   note: String
 }, {
   timestamps: true
@@ -45,6 +181,418 @@ const attendanceSchema = new mongoose.Schema({
 
 // Index cho hiệu suất query
 attendanceSchema.index({ employeeId: 1, date: 1 }, { unique: true });
+attendanceSchema.index({ leaveId: 1 });
+
+// Điều kiện lọc các bản ghi còn lượt chưa check-out (kể cả bản ghi cũ chưa có sessions)
+attendanceSchema.statics.openFilter = function() {
+  return {
+    status: 'present',
+    $or: [
+      { sessions: { $elemMatch: { checkOut: null } } },
+      { sessions: { $size: 0 }, checkOut: { $exists: false } }
+    ]
+  };
+};
+
+// Lượt làm việc đang mở (chưa check-out)
+attendanceSchema.methods.getOpenSession = function() {
+  return this.sessions.find(session => !session.checkOut);
+};
+
+attendanceSchema.methods.getOpenBreak = function() {
+  return this.breaks.find(item => !item.end);
+};
+
+// Tính lại giờ vào/ra, đi muộn, giờ làm việc, giờ làm đêm và giờ làm thêm từ các lượt chấm công
+// isHoliday mặc định theo lần phân loại trước vì chỉ recompute mới tra cứu ngày lễ
+attendanceSchema.methods.recalculate = function(shift, { overtimeRequest, isHoliday = this.dayType === 'holiday' } = {}) {
+  // Bản ghi cũ chỉ có checkIn/checkOut được chuyển thành một lượt
+  if (this.sessions.length === 0 && this.checkIn) {
+    this.sessions.push({ checkIn: this.checkIn, checkOut: this.checkOut });
+  }
+
+  this.sessions.sort((a, b) => a.checkIn - b.checkIn);
+  const closedSessions = this.sessions.filter(session => session.checkOut);
+
+  if (this.sessions.length > 0) {
+    this.checkIn = this.sessions[0].checkIn;
+    this.checkOut = this.getOpenSession() ? undefined : this.sessions[this.sessions.length - 1].checkOut;
+  }
+
+  // Đi muộn tính theo lượt vào đầu tiên. Đặt lại trước khi tính để bản ghi bị xóa
+  // giờ vào hoặc giờ chuẩn không giữ số phút đi muộn cũ.
+  this.lateMinutes = 0;
+  if (this.checkIn && this.standardCheckIn) {
+    const graceDeadline = new Date(this.standardCheckIn.getTime() + shift.gracePeriodMinutes * 60 * 1000);
+    this.lateMinutes = shift.isWorkingDay(this.date, this.timezone) && this.checkIn > graceDeadline
+      ? Math.floor((this.checkIn - this.standardCheckIn) / (1000 * 60))
+      : 0;
+  }
+
+  // Về sớm tính theo lượt ra cuối cùng khi không còn lượt mở. Lượt do hệ thống tự đóng
+  // tại giờ kết thúc ca không bị tính về sớm.
+  const { punctuality } = attendancePolicy;
+  this.earlyLeaveMinutes = 0;
+  if (this.checkOut && !this.getOpenSession() && !this.autoClosed && shift.isWorkingDay(this.date, this.timezone)) {
+    const minutes = Math.floor((shift.getEndOn(this.date, this.timezone) - this.checkOut) / (1000 * 60));
+    this.earlyLeaveMinutes = minutes > punctuality.earlyLeaveGraceMinutes ? minutes : 0;
+  }
+
+  const sessionHours = closedSessions.reduce((sum, session) => sum + (session.checkOut - session.checkIn) / HOUR, 0);
+
+  // Giờ nghỉ không tính lương. Chỉ trừ giờ nghỉ theo cấu hình ca khi làm một lượt liền
+  // và không ghi nhận giờ nghỉ nào (khoảng trống giữa các lượt đã là giờ nghỉ)
+  const unpaidBreakMinutes = this.breaks
+    .filter(item => item.end && !item.isPaid)
+    .reduce((sum, item) => sum + (item.end - item.start) / (1000 * 60), 0);
+  this.breakMinutes = Math.round(unpaidBreakMinutes);
+
+  const workingHours = this.breaks.length > 0 || closedSessions.length > 1
+    ? Math.max(0, sessionHours - unpaidBreakMinutes / 60)
+    : shift.deductBreak(sessionHours);
+  this.workingHours = Number(workingHours.toFixed(2));
+
+  // Tách riêng số giờ làm đêm để tính phụ cấp
+  const nightHours = closedSessions.reduce((sum, session) =>
+    sum + overlapDailyWindow(session.checkIn, session.checkOut, nightPolicy.startTime, nightPolicy.endTime, this.timezone), 0);
+  this.nightHours = Number(Math.min(nightHours, this.workingHours).toFixed(2));
+
+  // Giờ làm thêm chỉ tính khi có yêu cầu được duyệt, ngày nghỉ của ca và ngày lễ tính toàn bộ là làm thêm
+  const isWorkingDay = shift.isWorkingDay(this.date, this.timezone);
+  this.dayType = isHoliday ? 'holiday' : (isWorkingDay ? 'weekday' : 'weekend');
+  const standardHours = this.dayType === 'weekday' ? shift.getStandardHours() : 0;
+  this.overtime = overtimeRequest && this.workingHours > standardHours
+    ? Number(Math.min(this.workingHours - standardHours, overtimeRequest.requestedHours).toFixed(2))
+    : 0;
+  // Giờ làm thêm nằm ở cuối ngày làm việc nên phần ban đêm không vượt quá số giờ làm đêm
+  this.overtimeNightHours = Number(Math.min(this.overtime, this.nightHours).toFixed(2));
+  this.toilHours = overtimeRequest?.compensation === 'toil' ? this.overtime : 0;
+
+  this.evaluatePunctuality();
+  return this;
+};
+
+// Ghi nhận vi phạm đi muộn/về sớm theo quy định. Vi phạm vượt số lần đi muộn cho phép
+// trong tháng cần truy vấn các ngày khác nên được đánh giá riêng trong applyLateAllowance.
+attendanceSchema.methods.evaluatePunctuality = function() {
+  const { punctuality } = attendancePolicy;
+  const overAllowance = this.violations.find(item => item.type === 'late_over_allowance');
+  const violations = [];
+  let absenceDays = 0;
+
+  if (this.lateMinutes > 0) {
+    violations.push({ type: 'late', minutes: this.lateMinutes });
+    if (this.lateMinutes >= punctuality.halfDayLateMinutes) {
+      violations.push({ type: 'half_day_late', minutes: this.lateMinutes });
+      absenceDays += 0.5;
+    }
+    if (overAllowance) violations.push(overAllowance);
+  }
+  if (this.earlyLeaveMinutes > 0) {
+    violations.push({ type: 'early_leave', minutes: this.earlyLeaveMinutes });
+    if (this.earlyLeaveMinutes >= punctuality.halfDayEarlyLeaveMinutes) {
+      violations.push({ type: 'half_day_early_leave', minutes: this.earlyLeaveMinutes });
+      absenceDays += 0.5;
+    }
+  }
+
+  this.violations = violations;
+  this.absenceDays = absenceDays;
+  return this;
+};
+
+// Đánh dấu vi phạm khi số lần đi muộn trong tháng (tính cả ngày này) vượt số lần cho phép
+attendanceSchema.methods.applyLateAllowance = async function() {
+  this.violations = this.violations.filter(item => item.type !== 'late_over_allowance');
+  if (this.lateMinutes <= 0) return this;
+
+  const { year, month } = getDateParts(this.date, this.timezone);
+  const { startDate } = getMonthRange(year, month, this.timezone);
+  const previousLateDays = await this.constructor.countDocuments({
+    _id: { $ne: this._id },
+    employeeId: this.employeeId,
+    date: { $gte: startDate, $lt: this.date },
+    lateMinutes: { $gt: 0 }
+  });
+
+  if (previousLateDays >= attendancePolicy.punctuality.monthlyLateAllowance) {
+    this.violations.push({ type: 'late_over_allowance', minutes: this.lateMinutes });
+  }
+  return this;
+};
+
+// Đánh giá lại vi phạm vượt số lần đi muộn cho phép của các ngày sau record trong cùng tháng,
+// khi số phút đi muộn của record thay đổi hoặc record bị xóa
+attendanceSchema.statics.reapplyLateAllowance = async function(record) {
+  const { year, month } = getDateParts(record.date, record.timezone);
+  const { startDate, endDate } = getMonthRange(year, month, record.timezone);
+  const lateDays = await this.find({
+    employeeId: record.employeeId,
+    date: { $gte: startDate, $lte: endDate },
+    lateMinutes: { $gt: 0 }
+  }).sort({ date: 1 }).select('date lateMinutes violations');
+
+  const operations = [];
+  lateDays.forEach((attendance, index) => {
+    if (attendance.date <= record.date) return;
+
+    const isOverAllowance = index >= attendancePolicy.punctuality.monthlyLateAllowance;
+    const hasViolation = attendance.violations.some(item => item.type === 'late_over_allowance');
+    if (isOverAllowance === hasViolation) return;
+
+    const violations = attendance.violations
+      .filter(item => item.type !== 'late_over_allowance')
+      .map(item => item.toObject());
+    if (isOverAllowance) violations.push({ type: 'late_over_allowance', minutes: attendance.lateMinutes });
+    operations.push({ updateOne: { filter: { _id: attendance._id }, update: { $set: { violations } } } });
+  });
+
+  if (operations.length > 0) await this.bulkWrite(operations);
+};
+
+attendanceSchema.pre('save', function(next) {
+  this.$locals.lateMinutesChanged = this.isModified('lateMinutes');
+  next();
+});
+
+attendanceSchema.post('save', async function() {
+  if (this.$locals.lateMinutesChanged) await this.constructor.reapplyLateAllowance(this);
+});
+
+attendanceSchema.post('deleteOne', { document: true, query: false }, async function() {
+  if (this.lateMinutes > 0) await this.constructor.reapplyLateAllowance(this);
+});
+
+// Thời điểm tự đóng lượt đang mở: giờ kết thúc ca, hoặc khi có yêu cầu làm thêm đã duyệt thì
+// sau số giờ làm thêm tính từ giờ kết thúc ca (từ giờ vào nếu lượt bắt đầu sau khi hết ca)
+attendanceSchema.methods.getAutoCloseTime = function(shift, overtimeRequest) {
+  const shiftEnd = shift.getEndOn(this.date, this.timezone);
+  if (!overtimeRequest) return shiftEnd;
+
+  const checkIn = this.getOpenSession()?.checkIn || this.checkIn;
+  return new Date(Math.max(shiftEnd, checkIn) + overtimeRequest.requestedHours * HOUR);
+};
+
+// Đóng lượt đang mở tại giờ kết thúc ca (hoặc hết giờ làm thêm đã duyệt) và đánh dấu để
+// nhân viên gửi yêu cầu điều chỉnh nếu cần
+attendanceSchema.methods.closeAtShiftEnd = function(shift, { overtimeRequest } = {}) {
+  if (this.sessions.length === 0 && this.checkIn) {
+    this.sessions.push({ checkIn: this.checkIn });
+  }
+
+  const shiftEnd = shift.getEndOn(this.date, this.timezone);
+  const openSession = this.getOpenSession();
+  // Không có làm thêm đã duyệt: lượt bắt đầu sau giờ kết thúc ca được đóng ngay tại giờ vào
+  openSession.checkOut = new Date(Math.max(this.getAutoCloseTime(shift, overtimeRequest), openSession.checkIn));
+
+  const openBreak = this.getOpenBreak();
+  if (openBreak) openBreak.end = new Date(Math.max(shiftEnd, openBreak.start));
+
+  this.autoClosed = true;
+  return this;
+};
+
+// Gộp các lần quét từ máy chấm công vào các lượt vào/ra của bản ghi. Lần quét cách giờ vào/ra
+// đã có (hoặc lần quét trước) dưới windowMinutes được coi là trùng. Toàn bộ giờ vào/ra sau khi gộp
+// được sắp xếp và ghép lần lượt thành cặp vào - ra, lần quét lẻ cuối cùng là lượt chưa check-out.
+attendanceSchema.methods.mergePunches = function(punches, { windowMinutes = 0 } = {}) {
+  if (this.sessions.length === 0 && this.checkIn) {
+    this.sessions.push({ checkIn: this.checkIn, checkOut: this.checkOut });
+  }
+
+  // Giờ ra do hệ thống tự đóng được thay bằng lần quét thực tế
+  const points = [];
+  this.sessions.forEach((session, index) => {
+    points.push({ time: session.checkIn, location: session.checkInLocation });
+    const isAutoCheckOut = this.autoClosed && index === this.sessions.length - 1;
+    if (session.checkOut && !isAutoCheckOut) {
+      points.push({ time: session.checkOut, location: session.checkOutLocation });
+    }
+  });
+
+  const windowMs = windowMinutes * 60 * 1000;
+  const imported = [];
+  const duplicates = [];
+  [...punches].sort((a, b) => a.time - b.time).forEach(punch => {
+    const isDuplicate = points.some(point => Math.abs(point.time - punch.time) <= windowMs);
+    if (isDuplicate) {
+      duplicates.push(punch);
+    } else {
+      points.push(punch);
+      imported.push(punch);
+    }
+  });
+
+  if (imported.length === 0) {
+    return { imported, duplicates };
+  }
+
+  points.sort((a, b) => a.time - b.time);
+  const sessions = [];
+  for (let i = 0; i < points.length; i += 2) {
+    const checkOut = points[i + 1];
+    sessions.push({
+      checkIn: points[i].time,
+      checkInLocation: points[i].location,
+      checkOut: checkOut?.time,
+      checkOutLocation: checkOut?.location
+    });
+  }
+
+  this.sessions = sessions;
+  this.status = 'present';
+  if (this.autoClosed) this.autoClosed = false;
+  return { imported, duplicates };
+};
+
+// Tính lại theo ca đã áp dụng cho bản ghi, yêu cầu làm thêm giờ đã duyệt và ngày lễ trong ngày
+attendanceSchema.methods.recompute = async function(employee) {
+  const [shift, overtimeRequest, holidays] = await Promise.all([
+    mongoose.model('Shift').resolveForAttendance(this, employee),
+    mongoose.model('OvertimeRequest').findOne({
+      employeeId: this.employeeId,
+      date: this.date,
+      status: 'approved'
+    }),
+    mongoose.model('Holiday').findInRange(this.date, this.date, this.timezone || defaultTimeZone)
+  ]);
+  this.recalculate(shift, { overtimeRequest, isHoliday: holidays.length > 0 });
+  return this.applyLateAllowance();
+};
+
+// Giá trị các trường được theo dõi, dùng để ghi log trước/sau khi thay đổi
+attendanceSchema.methods.snapshot = function() {
+  const result = {};
+  TRACKED_FIELDS.forEach(field => {
+    result[field] = this[field];
+  });
+  return result;
+};
+
+// Các trường thay đổi giữa hai snapshot dạng { field: { from, to } }
+attendanceSchema.statics.diffSnapshots = function(before, after) {
+  const changes = {};
+  TRACKED_FIELDS.forEach(field => {
+    if (JSON.stringify(before?.[field]) !== JSON.stringify(after?.[field])) {
+      changes[field] = { from: before?.[field], to: after?.[field] };
+    }
+  });
+  return changes;
+};
+
+// Trạng thái của ngày chấm công dùng cho lịch: trạng thái chính và các đánh dấu
+// (quên check-out, đi muộn, về sớm). Ngày có lượt đang mở trước giờ kết thúc ca là 'in_progress'.
+attendanceSchema.methods.getDayStatus = function(shift, now = new Date()) {
+  if (this.status !== 'present') {
+    return { status: this.status, flags: [] };
+  }
+
+  const shiftEnd = shift.getEndOn(this.date, this.timezone);
+  const isOpen = this.sessions.length > 0 ? Boolean(this.getOpenSession()) : !this.checkOut;
+  const flags = [];
+
+  if (this.autoClosed || (isOpen && now >= shiftEnd)) flags.push('missing_checkout');
+  if (this.lateMinutes > 0) flags.push('late');
+  if (this.earlyLeaveMinutes > 0) flags.push('early_leave');
+
+  return {
+    status: flags[0] || (isOpen ? 'in_progress' : 'on_time'),
+    flags
+  };
+};
+
+// Sinh bản ghi nghỉ phép cho các ngày làm việc theo ca (trừ ngày nghỉ của ca, ngày lễ) của đơn đã duyệt.
+// Không ghi đè ngày nhân viên đã đi làm, chỉ thay thế bản ghi vắng mặt.
+attendanceSchema.statics.createForLeave = async function(leave) {
+  const employee = await mongoose.model('Employee').findById(leave.employeeId);
+  const timeZone = employee ? await employee.resolveTimezone() : defaultTimeZone;
+  const days = employee
+    ? await employee.getWorkingDays(leave.startDate, leave.endDate, { timeZone })
+    : await mongoose.model('Holiday').getWorkingDays(leave.startDate, leave.endDate, timeZone);
+
+  // Bản ghi vắng mặt được chuyển thành nghỉ phép và giữ lại trạng thái cũ,
+  // các ngày chưa có bản ghi được tạo mới
+  const absences = await this.find({
+    employeeId: leave.employeeId,
+    date: { $in: days },
+    status: 'absent'
+  }).select('date note');
+  const absenceByDay = new Map(absences.map(absence => [absence.date.getTime(), absence]));
+
+  const leaveFields = {
+    status: 'leave',
+    leaveId: leave._id,
+    timezone: timeZone,
+    note: `Nghỉ phép (${leave.type})`
+  };
+  const operations = days.map(day => {
+    const absence = absenceByDay.get(day.getTime());
+    if (absence) {
+      return {
+        updateOne: {
+          filter: { _id: absence._id, status: 'absent' },
+          update: { $set: { ...leaveFields, previousStatus: 'absent', previousNote: absence.note } }
+        }
+      };
+    }
+    return {
+      updateOne: {
+        filter: { employeeId: leave.employeeId, date: day, status: 'leave' },
+        update: { $set: leaveFields },
+        upsert: true
+      }
+    };
+  });
+
+  if (operations.length === 0) return;
+
+  try {
+    await this.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Trùng khóa nghĩa là ngày đó đã có bản ghi khác (đi làm...), bỏ qua
+    if (error.code !== 11000 && !error.writeErrors?.every(err => err.code === 11000)) {
+      throw error;
+    }
+  }
+};
+
+// Các stage aggregate đánh dấu bản ghi nghỉ phép thuộc loại nghỉ có lương (paidLeave = 1),
+// dùng trước $group để cộng số ngày nghỉ có lương
+attendanceSchema.statics.paidLeaveStages = () => [
+  { $lookup: { from: 'leaves', localField: 'leaveId', foreignField: '_id', as: 'leave' } },
+  {
+    $addFields: {
+      paidLeave: {
+        $cond: [
+          {
+            $and: [
+              { $eq: ['$status', 'leave'] },
+              { $in: [{ $first: '$leave.type' }, leavePolicy.paidTypes] }
+            ]
+          },
+          1,
+          0
+        ]
+      }
+    }
+  }
+];
+
+// Khi đơn bị hủy hoặc từ chối: khôi phục bản ghi vắng mặt đã bị thay thế
+// và xóa các bản ghi nghỉ phép do đơn tạo mới
+attendanceSchema.statics.removeForLeave = async function(leave) {
+  const replaced = await this.find({ leaveId: leave._id, status: 'leave', previousStatus: { $exists: true } });
+  for (const attendance of replaced) {
+    attendance.status = attendance.previousStatus;
+    attendance.note = attendance.previousNote;
+    attendance.leaveId = undefined;
+    attendance.previousStatus = undefined;
+    attendance.previousNote = undefined;
+    await attendance.save();
+  }
+
+  return this.deleteMany({ leaveId: leave._id, status: 'leave' });
+};
 
 const Attendance = mongoose.model('Attendance', attendanceSchema);
 module.exports = Attendance; 
\ No newline at end of file
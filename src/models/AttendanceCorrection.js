@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Yêu cầu điều chỉnh chấm công do nhân viên gửi, admin duyệt mới được áp dụng
+const attendanceCorrectionSchema = new mongoose.Schema({
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  attendanceId: {
+    type: mongoose.Schema.Types.ObjectId, // Bản ghi chấm công được điều chỉnh (có thể chưa có khi quên check-in)
+    ref: 'Attendance'
+  },
+  date: {
+    type: Date, // Ngày chấm công cần điều chỉnh
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['missing_check_in', 'missing_check_out', 'wrong_time'],
+    required: true
+  },
+  checkIn: Date, // Giờ vào đề nghị
+  checkOut: Date, // Giờ ra đề nghị
+  reason: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String
+}, {
+  timestamps: true
+});
+
+attendanceCorrectionSchema.index({ employeeId: 1, date: 1 });
+attendanceCorrectionSchema.index({ status: 1, createdAt: -1 });
+
+// Áp dụng giờ vào/ra đề nghị vào bản ghi chấm công (chưa tính lại và chưa lưu)
+attendanceCorrectionSchema.methods.applyTo = function(attendance) {
+  // Bản ghi cũ chỉ có checkIn/checkOut được chuyển thành một lượt
+  if (attendance.sessions.length === 0 && attendance.checkIn) {
+    attendance.sessions.push({ checkIn: attendance.checkIn, checkOut: attendance.checkOut });
+  }
+
+  if (this.type === 'missing_check_in') {
+    attendance.status = 'present';
+    attendance.sessions = [{ checkIn: this.checkIn, checkOut: this.checkOut }];
+    attendance.breaks = [];
+    return attendance;
+  }
+
+  attendance.sessions.sort((a, b) => a.checkIn - b.checkIn);
+  const lastSession = attendance.sessions[attendance.sessions.length - 1];
+
+  // Quên check-out: đóng lượt đang mở, hoặc thay giờ ra do hệ thống tự đóng
+  if (this.type === 'missing_check_out') {
+    (attendance.getOpenSession() || lastSession).checkOut = this.checkOut;
+    const openBreak = attendance.getOpenBreak();
+    if (openBreak) openBreak.end = this.checkOut;
+    attendance.autoClosed = false;
+    return attendance;
+  }
+
+  // Sai giờ: sửa giờ vào của lượt đầu tiên và giờ ra của lượt cuối cùng
+  if (this.checkIn) {
+    attendance.sessions[0].checkIn = this.checkIn;
+  }
+  if (this.checkOut) {
+    lastSession.checkOut = this.checkOut;
+    attendance.autoClosed = false;
+  }
+  return attendance;
+};
+
+module.exports = mongoose.model('AttendanceCorrection', attendanceCorrectionSchema);
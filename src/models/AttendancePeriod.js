@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { defaultTimeZone, getDateParts } = require('../utils/date');
+
+// Kỳ chấm công theo tháng. Sau khi chốt lương, kỳ được khóa để không ai thay đổi
+// chấm công, làm thêm giờ hay nghỉ phép của tháng đó cho đến khi admin mở lại.
+const attendancePeriodSchema = new mongoose.Schema({
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  closedAt: Date,
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reopenedAt: Date,
+  reopenReason: String,
+  note: String
+}, {
+  timestamps: true
+});
+
+attendancePeriodSchema.index({ year: 1, month: 1 }, { unique: true });
+
+// Kỳ đã khóa đầu tiên chứa một ngày trong khoảng start - end.
+// Tháng của mỗi ngày được xác định theo múi giờ của bản ghi (hoặc nhân viên).
+attendancePeriodSchema.statics.findLocked = async function(start, end = start, timeZone = defaultTimeZone) {
+  const from = getDateParts(start, timeZone);
+  const to = getDateParts(end, timeZone);
+
+  const months = [];
+  for (let year = from.year, month = from.month; year < to.year || (year === to.year && month <= to.month);) {
+    months.push({ year, month });
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+  if (months.length === 0) return null;
+
+  return this.findOne({ status: 'closed', $or: months }).sort({ year: 1, month: 1 });
+};
+
+attendancePeriodSchema.methods.getLockedMessage = function() {
+  return `Kỳ chấm công tháng ${this.month}/${this.year} đã khóa sổ, không thể thay đổi dữ liệu`;
+};
+
+module.exports = mongoose.model('AttendancePeriod', attendancePeriodSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/date');
 
 const departmentSchema = new mongoose.Schema({
   name: {
@@ -15,6 +16,17 @@ const departmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Employee'
   },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId, // Ca làm việc mặc định của phòng ban
+    ref: 'Shift'
+  },
+  timezone: {
+    type: String, // Múi giờ của phòng ban/chi nhánh (IANA)
+    validate: {
+      validator: value => !value || isValidTimeZone(value),
+      message: 'Múi giờ không hợp lệ'
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { night: nightPolicy } = require('../config/policy');
+const { DAY_TYPES, calculateOvertimePay, overtimeGroupFields, regularHoursExpression } = require('../utils/overtime');
+const { defaultTimeZone, getMonthRange, isValidTimeZone } = require('../utils/date');
 
 const employeeSchema = new mongoose.Schema({
   userId: {
@@ -63,8 +66,29 @@ const employeeSchema = new mongoose.Schema({
     required: false
   },
   overtimeRate: {
-    type: Number,
-    default: 1.5 // Hệ số lương làm thêm giờ
+    type: Number, // Hệ số làm thêm giờ riêng, để trống thì dùng hệ số theo loại ngày của chính sách
+    min: 0
+  },
+  shift: {
+    type: mongoose.Schema.Types.ObjectId, // Ca làm việc riêng, ưu tiên hơn ca của phòng ban
+    ref: 'Shift'
+  },
+  timezone: {
+    type: String, // Múi giờ riêng (IANA), ưu tiên hơn múi giờ của phòng ban
+    validate: {
+      validator: value => !value || isValidTimeZone(value),
+      message: 'Múi giờ không hợp lệ'
+    }
+  },
+  attendanceCode: {
+    type: String, // Mã người dùng trên máy chấm công vân tay
+    trim: true,
+    unique: true,
+    sparse: true
+  },
+  remoteDaysPerMonth: {
+    type: Number, // Định mức ngày làm từ xa riêng mỗi tháng, mặc định theo chính sách chung
+    min: 0
   }
 }, {
   timestamps: true,
@@ -107,41 +131,128 @@ employeeSchema.methods.getAge = function() {
   return new Date().getFullYear() - this.dateOfBirth.getFullYear();
 };
 
+// Múi giờ áp dụng cho nhân viên: múi giờ riêng > múi giờ phòng ban > múi giờ tổ chức
+employeeSchema.methods.resolveTimezone = async function() {
+  if (this.timezone) return this.timezone;
+
+  const department = await mongoose.model('Department').findById(this.department).select('timezone');
+  return department?.timezone || defaultTimeZone;
+};
+
+// Các ngày làm việc của nhân viên trong khoảng start - end theo ngày làm việc của ca áp dụng, trừ ngày lễ
+employeeSchema.methods.getWorkingDays = async function(start, end, { timeZone, shift } = {}) {
+  const resolvedShift = shift || await mongoose.model('Shift').resolveForEmployee(this);
+  const resolvedTimeZone = timeZone || await this.resolveTimezone();
+  return mongoose.model('Holiday').getWorkingDays(start, end, resolvedTimeZone, resolvedShift.workingDays);
+};
+
+// Số ngày làm việc, số giờ chuẩn một ngày của ca và số giờ chuẩn (giờ chuẩn của ca * số ngày
+// làm việc) trong khoảng start - end
+employeeSchema.methods.getStandardHours = async function(start, end, { timeZone } = {}) {
+  const shift = await mongoose.model('Shift').resolveForEmployee(this);
+  const days = await this.getWorkingDays(start, end, { timeZone, shift });
+  const dailyHours = shift.getStandardHours();
+  return {
+    workingDays: days.length,
+    dailyHours,
+    standardHours: Number((days.length * dailyHours).toFixed(2))
+  };
+};
+
+// Biểu thức aggregate lấy giá trị tương ứng với _id của document trong danh sách ids - values
+const valueByIdExpression = (ids, values) => ({
+  $let: {
+    vars: { index: { $indexOfArray: [{ $literal: ids }, '$_id'] } },
+    in: { $cond: [{ $gte: ['$$index', 0] }, { $arrayElemAt: [{ $literal: values }, '$$index'] }, 0] }
+  }
+});
+
+// Biểu thức aggregate lấy lương theo giờ và số giờ chuẩn một ngày của từng nhân viên trong
+// danh sách (theo _id). Lương giờ = lương cơ bản * số tháng / số giờ chuẩn của kỳ start - end;
+// kỳ không có ngày làm việc thì lương giờ bằng 0.
+employeeSchema.statics.salaryRateExpressions = async function(employees, start, end, months = 1) {
+  const ids = [];
+  const rates = [];
+  const dailyHours = [];
+  for (const employee of employees) {
+    const standard = await employee.getStandardHours(start, end);
+    ids.push(employee._id);
+    rates.push(standard.standardHours > 0 ? employee.salary * months / standard.standardHours : 0);
+    dailyHours.push(standard.dailyHours);
+  }
+  return {
+    hourlyRate: valueByIdExpression(ids, rates),
+    dailyHours: valueByIdExpression(ids, dailyHours)
+  };
+};
+
 // Thêm method tính lương
 employeeSchema.methods.calculateSalary = async function(month, year) {
-  const startDate = new Date(year, month - 1, 1);
-  const endDate = new Date(year, month, 0);
+  const timeZone = await this.resolveTimezone();
+  const { startDate, endDate } = getMonthRange(year, month, timeZone);
 
-  const attendance = await mongoose.model('Attendance').aggregate([
+  const Attendance = mongoose.model('Attendance');
+  const attendance = await Attendance.aggregate([
     {
       $match: {
         employeeId: this._id,
         date: { $gte: startDate, $lte: endDate },
-        status: 'present'
+        status: { $in: ['present', 'leave'] }
       }
     },
+    ...Attendance.paidLeaveStages(),
     {
       $group: {
         _id: null,
         totalWorkingHours: { $sum: '$workingHours' },
-        totalOvertimeHours: { $sum: '$overtime' }
+        totalRegularHours: { $sum: regularHoursExpression() },
+        totalOvertimeHours: { $sum: '$overtime' },
+        totalNightHours: { $sum: '$nightHours' },
+        totalToilHours: { $sum: { $ifNull: ['$toilHours', 0] } },
+        paidLeaveDays: { $sum: '$paidLeave' },
+        ...overtimeGroupFields()
       }
     }
   ]);
 
-  const stats = attendance[0] || { totalWorkingHours: 0, totalOvertimeHours: 0 };
-  const hourlyRate = this.salary / (8 * 22); // Lương theo giờ = lương cơ bản / (8h * 22 ngày)
+  const stats = attendance[0] || {
+    totalWorkingHours: 0, totalRegularHours: 0, totalOvertimeHours: 0, totalNightHours: 0, totalToilHours: 0, paidLeaveDays: 0
+  };
+  // Lương theo giờ = lương cơ bản / (giờ chuẩn của ca * số ngày làm việc thực tế trong tháng)
+  const { workingDays, dailyHours, standardHours } = await this.getStandardHours(startDate, endDate, { timeZone });
+  const hourlyRate = standardHours > 0 ? this.salary / standardHours : 0;
   
-  const regularPay = stats.totalWorkingHours * hourlyRate;
-  const overtimePay = stats.totalOvertimeHours * hourlyRate * 1.5;
+  // Giờ làm thêm được trả lương không tính vào lương thường mà trả đủ theo hệ số bên dưới
+  const regularPay = stats.totalRegularHours * hourlyRate;
+  // Ngày nghỉ có lương (phép năm, ốm, nghỉ bù) trả theo giờ chuẩn một ngày của ca
+  const leaveHours = stats.paidLeaveDays * dailyHours;
+  const leavePay = leaveHours * hourlyRate;
+  // Giờ làm thêm tính theo hệ số của ngày thường, ngày nghỉ hoặc ngày lễ. Giờ làm thêm
+  // chọn nghỉ bù đã được cộng vào số dư nghỉ bù nên không trả lương.
+  const overtime = calculateOvertimePay(hourlyRate, Object.fromEntries(DAY_TYPES.map(type => [type, {
+    hours: stats[`${type}OvertimeHours`] || 0,
+    nightHours: stats[`${type}OvertimeNightHours`] || 0
+  }])), this.overtimeRate);
+  const overtimePay = overtime.total;
+  // Phụ cấp làm đêm tính thêm trên lương giờ cho số giờ trong khung đêm
+  const nightPay = stats.totalNightHours * hourlyRate * nightPolicy.premiumRate;
   
   return {
     baseSalary: this.salary,
+    workingDays,
     workingHours: stats.totalWorkingHours,
+    regularHours: stats.totalRegularHours,
     overtimeHours: stats.totalOvertimeHours,
+    toilHours: stats.totalToilHours,
+    paidLeaveDays: stats.paidLeaveDays,
+    leaveHours,
+    nightHours: stats.totalNightHours,
     regularPay: Number(regularPay.toFixed(2)),
+    leavePay: Number(leavePay.toFixed(2)),
     overtimePay: Number(overtimePay.toFixed(2)),
-    totalSalary: Number((regularPay + overtimePay).toFixed(2))
+    overtimeBreakdown: overtime.breakdown,
+    nightPay: Number(nightPay.toFixed(2)),
+    totalSalary: Number((regularPay + leavePay + overtimePay + nightPay).toFixed(2))
   };
 };
 
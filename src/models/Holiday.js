@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+const { shift: defaultShift } = require('../config/policy');
+const { defaultTimeZone, startOfDay, eachDay, getDay, addDays, getDateParts, dateInZone } = require('../utils/date');
+
+const holidaySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  // Ngày lễ dương lịch lặp lại hằng năm (30/4, 1/5...). Ngày lễ âm lịch như Tết
+  // phải nhập riêng cho từng năm.
+  isRecurring: {
+    type: Boolean,
+    default: false
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+holidaySchema.index({ date: 1 });
+holidaySchema.index({ isRecurring: 1 });
+
+// Lấy danh sách ngày lễ trong khoảng thời gian, đã trải các ngày lễ lặp lại ra từng năm.
+// Ngày lễ được lưu theo lịch của tổ chức và quy đổi sang ngày 00:00 của múi giờ timeZone.
+holidaySchema.statics.findInRange = async function(start, end, timeZone = defaultTimeZone) {
+  const from = startOfDay(start, timeZone);
+  const to = startOfDay(end, timeZone);
+  const fromYear = getDateParts(from, timeZone).year;
+  const toYear = getDateParts(to, timeZone).year;
+
+  // Nới rộng một ngày mỗi đầu để không bỏ sót khi múi giờ khác múi giờ tổ chức
+  const holidays = await this.find({
+    $or: [
+      { isRecurring: true },
+      { date: { $gte: addDays(from, -1), $lte: addDays(to, 1) } }
+    ]
+  }).lean();
+
+  const result = [];
+  holidays.forEach(holiday => {
+    const { year, month, day } = getDateParts(holiday.date);
+    const years = holiday.isRecurring
+      ? Array.from({ length: toYear - fromYear + 1 }, (_, index) => fromYear + index)
+      : [year];
+
+    years.forEach(holidayYear => {
+      const date = dateInZone(holidayYear, month, day, timeZone);
+      if (date >= from && date <= to) {
+        result.push({ ...holiday, date });
+      }
+    });
+  });
+
+  return result.sort((a, b) => a.date - b.date);
+};
+
+// Ngày lễ đã có trùng với date: cùng ngày, hoặc cùng ngày/tháng khi một trong hai ngày lễ
+// lặp lại hằng năm
+holidaySchema.statics.findDuplicate = async function(date, { isRecurring = false, excludeId } = {}) {
+  const query = isRecurring ? {} : { $or: [{ date }, { isRecurring: true }] };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const { month, day } = getDateParts(date);
+  const holidays = await this.find(query);
+  return holidays.find(holiday => {
+    if (holiday.date.getTime() === date.getTime()) return true;
+    const parts = getDateParts(holiday.date);
+    return (isRecurring || holiday.isRecurring) && parts.month === month && parts.day === day;
+  }) || null;
+};
+
+// Các ngày làm việc thực tế trong khoảng thời gian: thuộc workingDays của ca (0 = Chủ nhật)
+// và không trùng ngày lễ
+holidaySchema.statics.getWorkingDays = async function(start, end, timeZone = defaultTimeZone, workingDays = defaultShift.workingDays) {
+  const holidays = await this.findInRange(start, end, timeZone);
+  const holidayTimes = new Set(holidays.map(holiday => holiday.date.getTime()));
+
+  return eachDay(start, end, timeZone)
+    .filter(day => workingDays.includes(getDay(day, timeZone)) && !holidayTimes.has(day.getTime()));
+};
+
+holidaySchema.statics.countWorkingDays = async function(start, end, timeZone = defaultTimeZone, workingDays = defaultShift.workingDays) {
+  const days = await this.getWorkingDays(start, end, timeZone, workingDays);
+  return days.length;
+};
+
+module.exports = mongoose.model('Holiday', holidaySchema);
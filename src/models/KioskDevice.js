@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { attendance: attendancePolicy } = require('../config/policy');
+
+const TOKEN_AUDIENCE = 'attendance-kiosk';
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Mã QR ký bằng khóa riêng của kiosk (KIOSK_TOKEN_SECRET), không dùng chung với token đăng nhập
+const getTokenSecret = () => attendancePolicy.kiosk.tokenSecret;
+
+// Máy tính bảng đặt tại quầy lễ tân, hiển thị mã QR để nhân viên quét khi chấm công
+const kioskDeviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  officeLocationId: {
+    type: mongoose.Schema.Types.ObjectId, // Địa điểm văn phòng đặt thiết bị
+    ref: 'OfficeLocation'
+  },
+  keyHash: {
+    type: String, // Chỉ lưu mã băm của khóa thiết bị, khóa gốc chỉ hiển thị một lần khi đăng ký
+    required: true,
+    select: false
+  },
+  lastSeenAt: Date,
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+kioskDeviceSchema.index({ keyHash: 1 });
+
+// Tạo khóa thiết bị mới, trả về khóa gốc để hiển thị cho admin
+kioskDeviceSchema.methods.generateKey = function() {
+  const key = crypto.randomBytes(32).toString('hex');
+  this.keyHash = hashKey(key);
+  return key;
+};
+
+kioskDeviceSchema.statics.findByKey = function(key) {
+  if (!key) return null;
+  return this.findOne({ keyHash: hashKey(key), isActive: true });
+};
+
+// Mã QR ngắn hạn có chữ ký, đổi liên tục trên màn hình kiosk. Mỗi mã có jti riêng để chỉ dùng được một lần.
+kioskDeviceSchema.methods.issueToken = function() {
+  const secret = getTokenSecret();
+  if (!secret) {
+    throw new Error('Chưa cấu hình KIOSK_TOKEN_SECRET để phát mã QR kiosk');
+  }
+
+  const expiresIn = attendancePolicy.kiosk.tokenTtlSeconds;
+  const token = jwt.sign({ kioskId: this._id }, secret, {
+    audience: TOKEN_AUDIENCE,
+    jwtid: crypto.randomUUID(),
+    expiresIn
+  });
+  return { token, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
+
+// Kiểm tra mã QR do nhân viên quét. Trả về thiết bị kiosk cùng jti và thời điểm hết hạn
+// của mã nếu chữ ký và hạn hợp lệ; việc đánh dấu mã đã dùng do KioskTokenUse đảm nhận.
+kioskDeviceSchema.statics.verifyToken = async function(token) {
+  const secret = getTokenSecret();
+  if (!secret || !token) return null;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, secret, { audience: TOKEN_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+  if (!decoded.jti) return null;
+
+  const kiosk = await this.findOne({ _id: decoded.kioskId, isActive: true });
+  if (!kiosk) return null;
+  return { kiosk, jti: decoded.jti, expiresAt: new Date(decoded.exp * 1000) };
+};
+
+module.exports = mongoose.model('KioskDevice', kioskDeviceSchema);
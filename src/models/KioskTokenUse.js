@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Mã QR kiosk đã được quét để chấm công. Mỗi mã chỉ dùng được một lần,
+// bản ghi tự xóa sau khi mã hết hạn.
+const kioskTokenUseSchema = new mongoose.Schema({
+  jti: {
+    type: String, // Mã định danh (jti) của mã QR
+    required: true,
+    unique: true
+  },
+  kioskId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'KioskDevice',
+    required: true
+  },
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+kioskTokenUseSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Đánh dấu mã đã dùng. Trả về false nếu mã đã được quét trước đó.
+kioskTokenUseSchema.statics.consume = async function(data) {
+  try {
+    await this.create(data);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('KioskTokenUse', kioskTokenUseSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getDateParts } = require('../utils/date');
 
 const leaveSchema = new mongoose.Schema({
   employeeId: {
@@ -16,12 +17,22 @@ const leaveSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['annual', 'sick', 'unpaid', 'other'],
+    enum: ['annual', 'sick', 'compensatory', 'unpaid', 'other'],
     required: true
   },
+  days: {
+    type: Number, // Số ngày làm việc trong khoảng nghỉ
+    default: 0
+  },
+  // Số ngày làm việc theo từng năm, dùng để trừ số dư của đúng năm khi đơn kéo dài qua năm mới
+  yearDays: [{
+    _id: false,
+    year: Number,
+    days: Number
+  }],
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
     default: 'pending'
   },
   reason: {
@@ -31,10 +42,35 @@ const leaveSchema = new mongoose.Schema({
   approvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }
+  },
+  approvedAt: Date,
+  rejectionReason: String,
+  cancelledAt: Date
 }, {
   timestamps: true
 });
 
+// Chia các ngày làm việc (Date) của đơn theo năm trong múi giờ của nhân viên
+leaveSchema.statics.splitDaysByYear = function(days, timeZone) {
+  const counts = new Map();
+  days.forEach(day => {
+    const { year } = getDateParts(day, timeZone);
+    counts.set(year, (counts.get(year) || 0) + 1);
+  });
+  return [...counts].map(([year, count]) => ({ year, days: count }));
+};
+
+// Số ngày nghỉ theo từng năm. Đơn cũ chưa có yearDays tính toàn bộ vào năm của ngày bắt đầu.
+leaveSchema.methods.getYearDays = function(timeZone) {
+  if (this.yearDays?.length > 0) {
+    return this.yearDays.map(({ year, days }) => ({ year, days }));
+  }
+  return [{ year: getDateParts(this.startDate, timeZone).year, days: this.days }];
+};
+
+// Index cho hiệu suất query
+leaveSchema.index({ employeeId: 1, startDate: 1 });
+leaveSchema.index({ status: 1, startDate: 1 });
+
 const Leave = mongoose.model('Leave', leaveSchema);
 module.exports = Leave; 
\ No newline at end of file
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const { leave: leavePolicy } = require('../config/policy');
+const { getDateParts, dateInZone } = require('../utils/date');
+
+const leaveBalanceSchema = new mongoose.Schema({
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(leavePolicy.entitlements),
+    required: true
+  },
+  entitlement: {
+    type: Number, // Số ngày được hưởng cả năm (đã gồm ngày thâm niên)
+    default: 0
+  },
+  adjustment: {
+    type: Number, // Điều chỉnh thủ công: phép tồn năm trước, thưởng thêm...
+    default: 0
+  },
+  used: {
+    type: Number, // Số ngày đã nghỉ theo các đơn đã duyệt
+    default: 0
+  },
+  note: String
+}, {
+  timestamps: true
+});
+
+leaveBalanceSchema.index({ employeeId: 1, year: 1, type: 1 }, { unique: true });
+
+const round = (value) => Number(value.toFixed(2));
+
+// Loại nghỉ có quản lý số dư hay không
+leaveBalanceSchema.statics.isTracked = function(type) {
+  return Object.keys(leavePolicy.entitlements).includes(type);
+};
+
+// Số ngày được hưởng trong năm, cộng thêm ngày thâm niên tính theo Employee.startDate
+leaveBalanceSchema.statics.calculateEntitlement = function(employee, year, type) {
+  const base = leavePolicy.entitlements[type] || 0;
+  if (type !== 'annual' || !employee.startDate) {
+    return base;
+  }
+
+  // Số năm làm việc đủ tính đến ngày 01/01 của năm
+  const startDate = getDateParts(employee.startDate);
+  const reachedAnniversary = startDate.month === 1 && startDate.day === 1;
+  const years = Math.max(0, year - startDate.year - (reachedAnniversary ? 0 : 1));
+
+  return base + Math.floor(years / leavePolicy.seniorityYears) * leavePolicy.seniorityBonusDays;
+};
+
+leaveBalanceSchema.statics.findOrCreate = async function(employee, year, type) {
+  return this.findOneAndUpdate(
+    { employeeId: employee._id, year, type },
+    { $setOnInsert: { entitlement: this.calculateEntitlement(employee, year, type) } },
+    { new: true, upsert: true }
+  );
+};
+
+// Cộng/trừ số ngày đã sử dụng khi duyệt hoặc hủy đơn nghỉ
+leaveBalanceSchema.statics.consume = async function(employee, year, type, days) {
+  const balance = await this.findOrCreate(employee, year, type);
+  balance.used = round(balance.used + days);
+  return balance.save();
+};
+
+// Số ngày đã được cộng dồn tính đến thời điểm asOf (tháng xác định theo múi giờ của nhân viên)
+leaveBalanceSchema.methods.getAccrued = function(employee, asOf = new Date(), timeZone) {
+  if (!leavePolicy.monthlyAccrualTypes.includes(this.type)) {
+    return this.entitlement;
+  }
+
+  const startDate = employee.startDate ? getDateParts(employee.startDate) : null;
+  if (startDate && startDate.year > this.year) {
+    return 0;
+  }
+
+  const current = getDateParts(asOf, timeZone);
+  const firstMonth = startDate && startDate.year === this.year ? startDate.month - 1 : 0;
+  let lastMonth = 11;
+  if (current.year < this.year) lastMonth = -1;
+  if (current.year === this.year) lastMonth = current.month - 1;
+
+  const months = Math.max(0, lastMonth - firstMonth + 1);
+  return round(this.entitlement * months / 12);
+};
+
+// Số ngày nghỉ bù được cộng trong năm: tổng giờ làm thêm chọn nghỉ bù (đã ghi nhận khi check-out)
+// quy đổi ra ngày. Tính lại từ bản ghi chấm công nên luôn khớp khi yêu cầu làm thêm bị thu hồi.
+leaveBalanceSchema.statics.getEarned = async function(employee, year, type, timeZone) {
+  if (type !== 'compensatory') return 0;
+
+  const stats = await mongoose.model('Attendance').aggregate([
+    {
+      $match: {
+        employeeId: employee._id,
+        date: { $gte: dateInZone(year, 1, 1, timeZone), $lt: dateInZone(year + 1, 1, 1, timeZone) },
+        toilHours: { $gt: 0 }
+      }
+    },
+    { $group: { _id: null, hours: { $sum: '$toilHours' } } }
+  ]);
+  return round((stats[0]?.hours || 0) / leavePolicy.compensatoryHoursPerDay);
+};
+
+// Tổng hợp số dư, trừ cả các đơn đang chờ duyệt (trừ đơn excludeLeaveId). Đơn kéo dài qua
+// nhiều năm chỉ tính số ngày thuộc năm year; đơn cũ chưa có yearDays tính theo năm bắt đầu.
+leaveBalanceSchema.statics.getSummary = async function(employee, year, type, { excludeLeaveId, asOf } = {}) {
+  const balance = await this.findOrCreate(employee, year, type);
+  const timeZone = await employee.resolveTimezone();
+
+  const match = {
+    employeeId: employee._id,
+    type,
+    status: 'pending',
+    $or: [
+      { 'yearDays.year': year },
+      {
+        'yearDays.0': { $exists: false },
+        startDate: { $gte: dateInZone(year, 1, 1, timeZone), $lt: dateInZone(year + 1, 1, 1, timeZone) }
+      }
+    ]
+  };
+  if (excludeLeaveId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(excludeLeaveId) };
+  }
+
+  const yearDays = {
+    $sum: {
+      $map: {
+        input: { $filter: { input: '$yearDays', cond: { $eq: ['$$this.year', year] } } },
+        in: '$$this.days'
+      }
+    }
+  };
+  const [pendingStats, earned] = await Promise.all([
+    mongoose.model('Leave').aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          days: { $sum: { $cond: [{ $gt: [{ $size: { $ifNull: ['$yearDays', []] } }, 0] }, yearDays, '$days'] } }
+        }
+      }
+    ]),
+    this.getEarned(employee, year, type, timeZone)
+  ]);
+
+  const accrued = balance.getAccrued(employee, asOf, timeZone);
+  const pending = pendingStats[0]?.days || 0;
+
+  return {
+    type,
+    year,
+    entitlement: balance.entitlement,
+    accrued,
+    earned,
+    adjustment: balance.adjustment,
+    used: balance.used,
+    pending,
+    available: round(accrued + earned + balance.adjustment - balance.used - pending)
+  };
+};
+
+module.exports = mongoose.model('LeaveBalance', leaveBalanceSchema);
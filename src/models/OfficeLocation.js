@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const { distanceInMeters } = require('../utils/geo');
+const { isValidCidr, isIpInNetworks } = require('../utils/network');
+
+// Địa điểm văn phòng/chi nhánh được phép chấm công
+const officeLocationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    trim: true
+  },
+  latitude: {
+    type: Number,
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    min: -180,
+    max: 180
+  },
+  radiusMeters: {
+    type: Number, // Bán kính cho phép chấm công quanh văn phòng
+    default: 100,
+    min: 1
+  },
+  allowedNetworks: {
+    type: [String], // Các dải IP (CIDR) của mạng văn phòng, dùng cho máy tính không có GPS
+    default: [],
+    validate: {
+      validator: networks => networks.every(isValidCidr),
+      message: 'Dải mạng không hợp lệ'
+    }
+  },
+  departments: [{
+    type: mongoose.Schema.Types.ObjectId, // Để trống nếu áp dụng cho mọi phòng ban
+    ref: 'Department'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Tên chỉ cần duy nhất giữa các địa điểm đang hoạt động, địa điểm đã xóa (ngừng hoạt động)
+// không chặn việc tạo lại địa điểm cùng tên. Database đã tạo index duy nhất name_1 trước đây
+// cần xóa index đó.
+officeLocationSchema.index(
+  { name: 1 },
+  { name: 'name_active_unique', unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Địa điểm cần có tọa độ hoặc dải mạng để đối chiếu khi chấm công
+officeLocationSchema.pre('validate', function(next) {
+  const hasCoordinates = this.latitude != null && this.longitude != null;
+  if (!hasCoordinates && this.allowedNetworks.length === 0) {
+    this.invalidate('latitude', 'Cần nhập tọa độ hoặc dải mạng được phép');
+  }
+  next();
+});
+
+officeLocationSchema.virtual('hasCoordinates').get(function() {
+  return this.latitude != null && this.longitude != null;
+});
+
+// Các địa điểm nhân viên được phép chấm công: của phòng ban hoặc dùng chung
+officeLocationSchema.statics.findForEmployee = function(employee) {
+  return this.find({
+    isActive: true,
+    $or: [
+      { departments: employee.department },
+      { departments: { $size: 0 } }
+    ]
+  });
+};
+
+// Đối chiếu tọa độ thiết bị và địa chỉ IP với các địa điểm của nhân viên. Trả về null nếu chưa
+// cấu hình địa điểm nào, ngược lại trả về địa điểm khớp (hoặc gần nhất), khoảng cách,
+// cách xác định (gps/network) và việc có nằm trong khu vực cho phép hay không.
+officeLocationSchema.statics.verify = async function(employee, { coordinates, ipAddress } = {}) {
+  const locations = await this.findForEmployee(employee);
+  if (locations.length === 0) return null;
+
+  const results = coordinates
+    ? locations.filter(location => location.hasCoordinates).map(location => {
+      const distance = distanceInMeters(coordinates, location);
+      return { location, distance, matchedBy: 'gps', isInside: distance <= location.radiusMeters };
+    })
+    : [];
+
+  const insideResult = results.find(result => result.isInside);
+  if (insideResult) return insideResult;
+
+  const networkLocation = locations.find(location => isIpInNetworks(ipAddress, location.allowedNetworks));
+  if (networkLocation) {
+    return { location: networkLocation, distance: null, matchedBy: 'network', isInside: true };
+  }
+
+  const nearest = results.sort((a, b) => a.distance - b.distance)[0];
+  return nearest || { location: null, distance: null, matchedBy: null, isInside: false };
+};
+
+module.exports = mongoose.model('OfficeLocation', officeLocationSchema);
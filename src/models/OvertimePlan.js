@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Kế hoạch làm thêm giờ cho cả nhóm do admin hoặc trưởng phòng lập. Mỗi nhân viên trong kế hoạch
+// có một yêu cầu làm thêm giờ riêng (planId) để đồng ý/từ chối và được duyệt như yêu cầu thông thường.
+const overtimePlanSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  date: {
+    type: Date, // Ngày làm thêm (00:00 theo múi giờ tổ chức)
+    required: true
+  },
+  requestedHours: {
+    type: Number,
+    required: true
+  },
+  reason: String,
+  compensation: {
+    type: String, // Hình thức bù giờ mặc định cho nhân viên, mỗi người có thể chọn lại khi đồng ý
+    enum: ['pay', 'toil'],
+    default: 'pay'
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId, // Phòng ban được lập kế hoạch (nếu lập theo phòng ban)
+    ref: 'Department'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId, // Admin đã duyệt hàng loạt gần nhất
+    ref: 'User'
+  },
+  approvedAt: Date
+}, {
+  timestamps: true
+});
+
+overtimePlanSchema.index({ date: -1 });
+
+// Thống kê các yêu cầu của kế hoạch theo trạng thái duyệt và trạng thái đồng ý của nhân viên
+overtimePlanSchema.methods.getSummary = async function() {
+  const requests = await mongoose.model('OvertimeRequest').find({ planId: this._id }).select('status acceptance').lean();
+  const count = (field, value) => requests.filter(request => request[field] === value).length;
+  return {
+    total: requests.length,
+    accepted: count('acceptance', 'accepted'),
+    declined: count('acceptance', 'declined'),
+    awaiting: count('acceptance', 'pending'),
+    pending: count('status', 'pending'),
+    approved: count('status', 'approved'),
+    rejected: count('status', 'rejected'),
+    cancelled: count('status', 'cancelled')
+  };
+};
+
+module.exports = mongoose.model('OvertimePlan', overtimePlanSchema);
@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const { overtime: overtimePolicy } = require('../config/policy');
+const { defaultTimeZone, startOfDay, getDateParts, getMonthRange } = require('../utils/date');
+
+// Các chuyển trạng thái hợp lệ của yêu cầu làm thêm giờ
+const TRANSITIONS = {
+  pending: ['approved', 'rejected', 'cancelled'],
+  approved: ['rejected', 'cancelled'], // Admin thu hồi hoặc nhân viên hủy trước ngày làm thêm
+  rejected: [],
+  cancelled: []
+};
 
 const overtimeRequestSchema = new mongoose.Schema({
   employeeId: {
@@ -17,16 +27,162 @@ const overtimeRequestSchema = new mongoose.Schema({
   reason: String,
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected'],
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
     default: 'pending'
   },
   approvedBy: {
-    type: mongoose.Schema.Types.ObjectId,
+    type: mongoose.Schema.Types.ObjectId, // Admin đã duyệt hoặc từ chối yêu cầu
     ref: 'User'
   },
-  approvedAt: Date
+  approvedAt: Date,
+  decisionReason: String, // Ghi chú khi duyệt hoặc lý do từ chối
+  compensation: {
+    type: String, // Trả lương làm thêm hoặc cộng vào số dư nghỉ bù (TOIL)
+    enum: ['pay', 'toil'],
+    default: 'pay'
+  },
+  cancelledAt: Date,
+  planId: {
+    type: mongoose.Schema.Types.ObjectId, // Kế hoạch làm thêm giờ theo nhóm đã tạo ra yêu cầu này
+    ref: 'OvertimePlan'
+  },
+  acceptance: {
+    type: String, // Nhân viên đồng ý hay từ chối làm thêm theo kế hoạch (chỉ với yêu cầu thuộc kế hoạch)
+    enum: ['pending', 'accepted', 'declined']
+  },
+  respondedAt: Date
 }, {
   timestamps: true
 });
 
+overtimeRequestSchema.index({ employeeId: 1, date: 1, status: 1 });
+overtimeRequestSchema.index({ planId: 1 });
+
+// Tổng số giờ đã duyệt, đang chờ duyệt so với giới hạn
+const summarize = (requests, cap) => {
+  const sum = status => Number(requests
+    .filter(request => request.status === status)
+    .reduce((total, request) => total + request.requestedHours, 0)
+    .toFixed(2));
+  const approved = sum('approved');
+  const pending = sum('pending');
+  const total = Number((approved + pending).toFixed(2));
+  return { approved, pending, total, cap, remaining: Math.max(0, Number((cap - total).toFixed(2))) };
+};
+
+// Giờ làm thêm đã dùng trong ngày (nếu có day), tháng và năm từ danh sách yêu cầu
+// đang chờ duyệt hoặc đã duyệt. Tháng, năm của mỗi yêu cầu xác định theo múi giờ nhân viên.
+overtimeRequestSchema.statics.buildUsage = function(requests, { year, month, day, dailyCap, timeZone = defaultTimeZone }) {
+  const { caps } = overtimePolicy;
+  const inYear = requests.filter(request => getDateParts(request.date, timeZone).year === year);
+  const inMonth = inYear.filter(request => getDateParts(request.date, timeZone).month === month);
+
+  const usage = {
+    monthly: { year, month, ...summarize(inMonth, caps.monthly) },
+    yearly: { year, ...summarize(inYear, caps.yearly) }
+  };
+  if (day) {
+    const inDay = inMonth.filter(request => request.date.getTime() === day.getTime());
+    usage.daily = { date: day, ...summarize(inDay, dailyCap) };
+  }
+  return usage;
+};
+
+// Giới hạn giờ làm thêm của một ngày: ngày làm việc của ca tính theo tỷ lệ giờ chuẩn của ca,
+// ngày nghỉ, ngày lễ theo giới hạn cố định
+overtimeRequestSchema.statics.getDailyCap = async function(employee, date, timeZone) {
+  const [shift, holidays] = await Promise.all([
+    mongoose.model('Shift').resolveForEmployee(employee),
+    mongoose.model('Holiday').findInRange(date, date, timeZone)
+  ]);
+  const { caps } = overtimePolicy;
+  if (holidays.length > 0 || !shift.isWorkingDay(date, timeZone)) return caps.nonWorkingDaily;
+  return Number((shift.getStandardHours() * caps.dailyRatio).toFixed(2));
+};
+
+// Giờ làm thêm của nhân viên trong ngày, tháng, năm chứa date (bỏ qua yêu cầu excludeId)
+overtimeRequestSchema.statics.getUsage = async function(employee, date, { excludeId, timeZone } = {}) {
+  const zone = timeZone || await employee.resolveTimezone();
+  const day = startOfDay(date, zone);
+  const { year, month } = getDateParts(day, zone);
+
+  const query = {
+    employeeId: employee._id,
+    status: { $in: ['pending', 'approved'] },
+    date: { $gte: getMonthRange(year, 1, zone).startDate, $lte: getMonthRange(year, 12, zone).endDate }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const [requests, dailyCap] = await Promise.all([
+    this.find(query).select('date requestedHours status').lean(),
+    this.getDailyCap(employee, day, zone)
+  ]);
+  return this.buildUsage(requests, { year, month, day, dailyCap, timeZone: zone });
+};
+
+// Các giới hạn bị vượt khi thêm hours giờ làm thêm vào usage
+overtimeRequestSchema.statics.exceededCaps = function(usage, hours) {
+  const labels = { daily: 'trong ngày', monthly: 'trong tháng', yearly: 'trong năm' };
+  return ['daily', 'monthly', 'yearly']
+    .filter(period => usage[period] && usage[period].total + hours > usage[period].cap)
+    .map(period => `Vượt giới hạn ${usage[period].cap} giờ làm thêm ${labels[period]} ` +
+      `(đã đăng ký ${usage[period].total} giờ, yêu cầu thêm ${hours} giờ)`);
+};
+
+// Kiểm tra ngày, số giờ làm thêm và giới hạn giờ làm thêm của một yêu cầu mới (hoặc yêu cầu
+// excludeId sau khi sửa). Ngày được tính theo múi giờ của nhân viên để khớp với ngày chấm công.
+// Trả về { date, requestedHours, warnings } hoặc { error } khi không hợp lệ.
+overtimeRequestSchema.statics.validateNew = async function(employee, { date, requestedHours }, { excludeId } = {}) {
+  if (!date || isNaN(new Date(date))) {
+    return { error: { message: 'Ngày làm thêm không hợp lệ' } };
+  }
+  const hours = Number(requestedHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > 24) {
+    return { error: { message: 'Số giờ làm thêm không hợp lệ' } };
+  }
+
+  const timeZone = await employee.resolveTimezone();
+  const requestDate = startOfDay(date, timeZone);
+  if (requestDate < startOfDay(new Date(), timeZone)) {
+    return { error: { message: 'Không thể tạo yêu cầu cho ngày trong quá khứ' } };
+  }
+
+  const lockedPeriod = await mongoose.model('AttendancePeriod').findLocked(requestDate, requestDate, timeZone);
+  if (lockedPeriod) {
+    return { error: { message: lockedPeriod.getLockedMessage(), period: lockedPeriod } };
+  }
+
+  // Tổng giờ đã duyệt và đang chờ duyệt cộng với yêu cầu này không được vượt giới hạn
+  const usage = await this.getUsage(employee, requestDate, { excludeId, timeZone });
+  const exceeded = this.exceededCaps(usage, hours);
+  if (exceeded.length > 0 && overtimePolicy.capMode !== 'warn') {
+    return { error: { message: 'Vượt giới hạn giờ làm thêm theo quy định', errors: exceeded, usage } };
+  }
+
+  return { date: requestDate, requestedHours: hours, warnings: exceeded };
+};
+
+overtimeRequestSchema.methods.canTransitionTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Yêu cầu thuộc kế hoạch chỉ được duyệt khi nhân viên đã đồng ý làm thêm
+overtimeRequestSchema.methods.isAwaitingAcceptance = function() {
+  return Boolean(this.planId) && this.acceptance !== 'accepted';
+};
+
+// Giờ làm thêm của bản ghi chấm công phụ thuộc vào yêu cầu đã duyệt,
+// tính lại bản ghi của ngày làm thêm (nếu đã có) sau khi yêu cầu đổi trạng thái
+overtimeRequestSchema.methods.applyToAttendance = async function(employee) {
+  const attendance = await mongoose.model('Attendance').findOne({
+    employeeId: this.employeeId,
+    date: this.date,
+    status: 'present'
+  });
+  if (!attendance) return null;
+
+  await attendance.recompute(employee);
+  return attendance.save();
+};
+
 module.exports = mongoose.model('OvertimeRequest', overtimeRequestSchema); 
\ No newline at end of file
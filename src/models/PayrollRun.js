@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { getMonthRange, addDays } = require('../utils/date');
+
+// Trạng thái kỳ lương và các bước chuyển hợp lệ
+const TRANSITIONS = {
+  draft: ['reviewed'],
+  reviewed: ['draft', 'approved'], // Trả về nháp để tính lại khi phát hiện sai sót
+  approved: ['paid'],
+  paid: []
+};
+
+// Kỳ tính lương theo tháng. Khi tạo hoặc tính lại, mỗi nhân viên có một phiếu lương
+// (Payslip) lưu lại đầu vào và kết quả; từ lúc duyệt, phiếu lương không thể thay đổi.
+const payrollRunSchema = new mongoose.Schema({
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'draft'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  calculatedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: Date,
+  note: String,
+  totals: {
+    employees: { type: Number, default: 0 },
+    regularPay: { type: Number, default: 0 },
+    leavePay: { type: Number, default: 0 },
+    overtimePay: { type: Number, default: 0 },
+    nightPay: { type: Number, default: 0 },
+    totalSalary: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+payrollRunSchema.index({ year: 1, month: 1 }, { unique: true });
+
+payrollRunSchema.methods.canTransitionTo = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Phiếu lương chỉ được tạo lại khi kỳ lương còn ở trạng thái nháp
+payrollRunSchema.methods.isEditable = function() {
+  return this.status === 'draft';
+};
+
+// Tính lương cho mọi nhân viên đã vào làm trước cuối tháng và thay toàn bộ phiếu lương cũ của kỳ
+payrollRunSchema.methods.calculate = async function() {
+  const Payslip = mongoose.model('Payslip');
+  const { endDate } = getMonthRange(this.year, this.month);
+
+  const [employees, departments] = await Promise.all([
+    mongoose.model('Employee').find({ startDate: { $lt: addDays(endDate, 1) } }).sort({ fullName: 1 }),
+    mongoose.model('Department').find().select('name').lean()
+  ]);
+  const departmentNames = new Map(departments.map(department => [department._id.toString(), department.name]));
+
+  const payslips = [];
+  for (const employee of employees) {
+    const salary = await employee.calculateSalary(this.month, this.year);
+    payslips.push(Payslip.fromSalary(this, employee, salary, departmentNames.get(employee.department?.toString())));
+  }
+
+  await Payslip.deleteMany({ runId: this._id });
+  if (payslips.length > 0) await Payslip.insertMany(payslips);
+
+  const sum = field => Number(payslips.reduce((total, payslip) => total + (payslip[field] || 0), 0).toFixed(2));
+  this.totals = {
+    employees: payslips.length,
+    regularPay: sum('regularPay'),
+    leavePay: sum('leavePay'),
+    overtimePay: sum('overtimePay'),
+    nightPay: sum('nightPay'),
+    totalSalary: sum('totalSalary')
+  };
+  this.calculatedAt = new Date();
+  return this.save();
+};
+
+// Khóa toàn bộ phiếu lương của kỳ khi kỳ lương được duyệt
+payrollRunSchema.methods.lockPayslips = function() {
+  return mongoose.model('Payslip').updateMany({ runId: this._id }, { $set: { locked: true } });
+};
+
+module.exports = mongoose.model('PayrollRun', payrollRunSchema);
@@ -0,0 +1,148 @@
+const mongoose = require('mongoose');
+
+const LOCKED_MESSAGE = 'Phiếu lương đã được duyệt, không thể thay đổi';
+
+// Tiền làm thêm theo một loại ngày tại thời điểm tính lương
+const overtimeTierSchema = new mongoose.Schema({
+  hours: { type: Number, default: 0 },
+  nightHours: { type: Number, default: 0 },
+  rate: Number,
+  pay: { type: Number, default: 0 }
+}, { _id: false });
+
+// Phiếu lương của một nhân viên trong một kỳ lương. Lưu lại toàn bộ đầu vào
+// (lương cơ bản, công, giờ làm thêm, hệ số) và kết quả tại thời điểm tính để
+// số liệu không thay đổi khi chấm công được sửa sau này.
+const payslipSchema = new mongoose.Schema({
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayrollRun',
+    required: true
+  },
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  year: {
+    type: Number,
+    required: true
+  },
+  month: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 12
+  },
+  fullName: String,
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  departmentName: String,
+  position: String,
+  baseSalary: {
+    type: Number,
+    default: 0
+  },
+  overtimeRate: Number,
+  workingDays: {
+    type: Number,
+    default: 0
+  },
+  workingHours: {
+    type: Number,
+    default: 0
+  },
+  overtimeHours: {
+    type: Number,
+    default: 0
+  },
+  toilHours: {
+    type: Number,
+    default: 0
+  },
+  nightHours: {
+    type: Number,
+    default: 0
+  },
+  paidLeaveDays: {
+    type: Number,
+    default: 0
+  },
+  leaveHours: {
+    type: Number,
+    default: 0
+  },
+  regularPay: {
+    type: Number,
+    default: 0
+  },
+  leavePay: {
+    type: Number,
+    default: 0
+  },
+  overtimePay: {
+    type: Number,
+    default: 0
+  },
+  overtimeBreakdown: {
+    weekday: overtimeTierSchema,
+    weekend: overtimeTierSchema,
+    holiday: overtimeTierSchema
+  },
+  nightPay: {
+    type: Number,
+    default: 0
+  },
+  totalSalary: {
+    type: Number,
+    default: 0
+  },
+  // Bật khi kỳ lương được duyệt, sau đó phiếu lương không thể sửa hay xóa
+  locked: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+payslipSchema.index({ runId: 1, employeeId: 1 }, { unique: true });
+payslipSchema.index({ employeeId: 1, year: -1, month: -1 });
+
+// Tạo phiếu lương từ kết quả Employee.calculateSalary
+payslipSchema.statics.fromSalary = function(run, employee, salary, departmentName) {
+  return {
+    runId: run._id,
+    employeeId: employee._id,
+    year: run.year,
+    month: run.month,
+    fullName: employee.fullName,
+    department: employee.department,
+    departmentName,
+    position: employee.position,
+    overtimeRate: employee.overtimeRate,
+    ...salary
+  };
+};
+
+// Ghi nhớ trạng thái khóa khi tải từ database: phiếu đã khóa không thể mở khóa hay sửa
+payslipSchema.post('init', function() {
+  this.$locals.wasLocked = this.locked;
+});
+
+payslipSchema.pre('save', function(next) {
+  if (!this.isNew && this.$locals.wasLocked) {
+    return next(new Error(LOCKED_MESSAGE));
+  }
+  next();
+});
+
+// Các thao tác cập nhật/xóa theo truy vấn bỏ qua phiếu lương đã khóa
+payslipSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  this.where({ locked: { $ne: true } });
+  next();
+});
+
+module.exports = mongoose.model('Payslip', payslipSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { remote: remotePolicy } = require('../config/policy');
+const { getMonthRange } = require('../utils/date');
+
+// Đơn đăng ký làm việc từ xa (WFH)
+const remoteWorkRequestSchema = new mongoose.Schema({
+  employeeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Employee',
+    required: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  dates: [{
+    type: Date // Các ngày làm việc (00:00 theo múi giờ nhân viên) trong khoảng đăng ký
+  }],
+  days: {
+    type: Number, // Số ngày làm việc từ xa, tính vào định mức của tháng
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  approvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  approvedAt: Date,
+  rejectionReason: String,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+remoteWorkRequestSchema.index({ employeeId: 1, startDate: 1 });
+remoteWorkRequestSchema.index({ employeeId: 1, dates: 1, status: 1 });
+
+// Số ngày làm từ xa tối đa mỗi tháng, nhân viên có thể có định mức riêng
+remoteWorkRequestSchema.statics.getMonthlyQuota = function(employee) {
+  return employee.remoteDaysPerMonth ?? remotePolicy.daysPerMonth;
+};
+
+// Định mức và số ngày đã dùng (đã duyệt), đang chờ duyệt trong tháng (trừ đơn excludeId)
+remoteWorkRequestSchema.statics.getUsage = async function(employee, year, month, { excludeId, timeZone } = {}) {
+  const { startDate, endDate } = getMonthRange(year, month, timeZone || await employee.resolveTimezone());
+
+  const match = {
+    employeeId: employee._id,
+    status: { $in: ['pending', 'approved'] },
+    dates: { $gte: startDate, $lte: endDate }
+  };
+  if (excludeId) {
+    match._id = { $ne: new mongoose.Types.ObjectId(excludeId) };
+  }
+
+  const stats = await this.aggregate([
+    { $match: match },
+    { $unwind: '$dates' },
+    { $match: { dates: { $gte: startDate, $lte: endDate } } },
+    { $group: { _id: '$status', days: { $sum: 1 } } }
+  ]);
+
+  const quota = this.getMonthlyQuota(employee);
+  const used = stats.find(item => item._id === 'approved')?.days || 0;
+  const pending = stats.find(item => item._id === 'pending')?.days || 0;
+
+  return {
+    year,
+    month,
+    quota,
+    used,
+    pending,
+    available: Math.max(0, quota - used - pending)
+  };
+};
+
+// Có đơn làm từ xa đã duyệt cho ngày chấm công date không
+remoteWorkRequestSchema.statics.isRemoteDay = async function(employeeId, date) {
+  return Boolean(await this.exists({ employeeId, status: 'approved', dates: date }));
+};
+
+// Cập nhật hình thức làm việc cho các bản ghi chấm công đã có trong những ngày của đơn
+remoteWorkRequestSchema.methods.applyToAttendance = function(workMode) {
+  return mongoose.model('Attendance').updateMany(
+    { employeeId: this.employeeId, date: { $in: this.dates }, status: 'present' },
+    { $set: { workMode } }
+  );
+};
+
+module.exports = mongoose.model('RemoteWorkRequest', remoteWorkRequestSchema);
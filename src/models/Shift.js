@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const { shift: defaultShift } = require('../config/policy');
+const { startOfDay, addDays, getDay, setTime } = require('../utils/date');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const shiftSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  startTime: {
+    type: String, // Giờ bắt đầu ca, định dạng HH:mm
+    required: true,
+    match: TIME_PATTERN
+  },
+  endTime: {
+    type: String, // Giờ kết thúc ca, định dạng HH:mm
+    required: true,
+    match: TIME_PATTERN
+  },
+  breakMinutes: {
+    type: Number, // Thời gian nghỉ giữa ca không tính lương
+    default: 0,
+    min: 0
+  },
+  gracePeriodMinutes: {
+    type: Number, // Số phút đi muộn được bỏ qua
+    default: 0,
+    min: 0
+  },
+  workingDays: {
+    type: [Number], // Các ngày làm việc trong tuần (0 = Chủ nhật)
+    default: [1, 2, 3, 4, 5],
+    validate: {
+      validator: days => days.every(day => Number.isInteger(day) && day >= 0 && day <= 6),
+      message: 'Ngày làm việc không hợp lệ'
+    }
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+shiftSchema.pre('validate', function(next) {
+  if (this.endTime === this.startTime) {
+    this.invalidate('endTime', 'Giờ kết thúc ca phải khác giờ bắt đầu');
+  }
+  next();
+});
+
+// Ca đêm kết thúc vào ngày hôm sau, ví dụ 22:00 - 06:00
+shiftSchema.virtual('crossesMidnight').get(function() {
+  return this.endTime < this.startTime;
+});
+
+// Ca áp dụng cho nhân viên: ca riêng > ca của phòng ban > ca mặc định
+shiftSchema.statics.resolveForEmployee = async function(employee) {
+  const candidates = [];
+  if (employee.shift) candidates.push(employee.shift);
+
+  const department = await mongoose.model('Department').findById(employee.department).select('shift');
+  if (department?.shift) candidates.push(department.shift);
+
+  for (const shiftId of candidates) {
+    const shift = await this.findOne({ _id: shiftId, isActive: true });
+    if (shift) return shift;
+  }
+
+  const shift = await this.findOne({ isDefault: true, isActive: true });
+  return shift || new this(defaultShift);
+};
+
+// Ca đã áp dụng cho bản ghi chấm công, nếu không còn thì lấy ca hiện tại của nhân viên
+shiftSchema.statics.resolveForAttendance = async function(attendance, employee) {
+  if (attendance.shiftId) {
+    const shift = await this.findById(attendance.shiftId);
+    if (shift) return shift;
+  }
+  return this.resolveForEmployee(employee);
+};
+
+// Các phương thức dưới đây nhận múi giờ của nhân viên, mặc định là múi giờ tổ chức
+shiftSchema.methods.isWorkingDay = function(date, timeZone) {
+  return this.workingDays.includes(getDay(date, timeZone));
+};
+
+shiftSchema.methods.getStartOn = function(date, timeZone) {
+  return setTime(startOfDay(date, timeZone), this.startTime, timeZone);
+};
+
+// Giờ kết thúc của ca bắt đầu vào ngày date
+shiftSchema.methods.getEndOn = function(date, timeZone) {
+  const end = setTime(startOfDay(date, timeZone), this.endTime, timeZone);
+  return this.crossesMidnight ? addDays(end, 1, timeZone) : end;
+};
+
+// Ngày bắt đầu của ca chứa thời điểm time. Với ca đêm, check-in sau nửa đêm
+// nhưng trước giờ kết thúc ca được tính cho ca bắt đầu từ hôm trước.
+shiftSchema.methods.getShiftDate = function(time, timeZone) {
+  const date = startOfDay(time, timeZone);
+  if (this.crossesMidnight) {
+    const previousDay = addDays(date, -1, timeZone);
+    if (time < this.getEndOn(previousDay, timeZone)) {
+      return previousDay;
+    }
+  }
+  return date;
+};
+
+// Số giờ làm việc chuẩn của ca (đã trừ thời gian nghỉ)
+shiftSchema.methods.getStandardHours = function() {
+  const today = new Date();
+  const minutes = (this.getEndOn(today) - this.getStartOn(today)) / (1000 * 60);
+  return Number(((minutes - this.breakMinutes) / 60).toFixed(2));
+};
+
+// Trừ thời gian nghỉ giữa ca của ca làm việc nếu làm quá nửa ca.
+// Chỉ dùng khi nhân viên không ghi nhận giờ nghỉ thực tế.
+shiftSchema.methods.deductBreak = function(hours) {
+  const breakHours = this.breakMinutes / 60;
+  const worked = hours > this.getStandardHours() / 2 ? hours - breakHours : hours;
+  return Number(Math.max(0, worked).toFixed(2));
+};
+
+module.exports = mongoose.model('Shift', shiftSchema);
@@ -6,6 +6,36 @@ const Leave = require('../models/Leave');
 const Employee = require('../models/Employee');
 const mongoose = require('mongoose');
 const OvertimeRequest = require('../models/OvertimeRequest');
+const Shift = require('../models/Shift');
+const OfficeLocation = require('../models/OfficeLocation');
+const KioskDevice = require('../models/KioskDevice');
+const KioskTokenUse = require('../models/KioskTokenUse');
+const RemoteWorkRequest = require('../models/RemoteWorkRequest');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const Holiday = require('../models/Holiday');
+const { attendance: attendancePolicy } = require('../config/policy');
+const multer = require('multer');
+const activityLogger = require('../middleware/activityLogger');
+const { getMonthRange, getDateParts, formatDate, eachDay, getDay } = require('../utils/date');
+const { isValidCoordinates } = require('../utils/geo');
+const { normalizeIp } = require('../utils/network');
+const { readPunchFile, parseTimestamp } = require('../utils/punchImport');
+
+const KIOSK_TOKEN_ERROR = 'Mã QR không hợp lệ, đã hết hạn hoặc đã được sử dụng';
+
+// File xuất từ máy chấm công vân tay (CSV hoặc XLSX)
+const upload = multer({
+  limits: {
+    fileSize: attendancePolicy.import.maxFileSizeMB * 1024 * 1024
+  },
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(new Error('Chỉ chấp nhận file CSV hoặc XLSX'), false);
+    }
+    cb(null, true);
+  }
+});
 
 /**
  * @swagger
@@ -28,12 +58,103 @@ const OvertimeRequest = require('../models/OvertimeRequest');
  *         checkOut:
  *           type: string
  *           format: date-time
+ *         sessions:
+ *           type: array
+ *           description: Các lượt vào/ra trong ngày
+ *           items:
+ *             type: object
+ *             properties:
+ *               checkIn:
+ *                 type: string
+ *                 format: date-time
+ *               checkOut:
+ *                 type: string
+ *                 format: date-time
+ *               checkInLocation:
+ *                 $ref: '#/components/schemas/AttendanceLocation'
+ *               checkOutLocation:
+ *                 $ref: '#/components/schemas/AttendanceLocation'
+ *         breaks:
+ *           type: array
+ *           description: Các lần nghỉ giữa giờ
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [meal, rest, personal, field_work]
+ *               start:
+ *                 type: string
+ *                 format: date-time
+ *               end:
+ *                 type: string
+ *                 format: date-time
+ *               isPaid:
+ *                 type: boolean
+ *         breakMinutes:
+ *           type: number
+ *           description: Tổng số phút nghỉ không tính lương
+ *         lateMinutes:
+ *           type: number
+ *           description: Số phút đi muộn (sau thời gian ân hạn của ca)
+ *         earlyLeaveMinutes:
+ *           type: number
+ *           description: Số phút về sớm so với giờ kết thúc ca
+ *         violations:
+ *           type: array
+ *           description: Vi phạm quy định đi muộn/về sớm
+ *           items:
+ *             type: object
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [late, early_leave, half_day_late, half_day_early_leave, late_over_allowance]
+ *               minutes:
+ *                 type: number
+ *         absenceDays:
+ *           type: number
+ *           description: Số ngày vắng do đi muộn/về sớm vượt ngưỡng nửa ngày
+ *         workingHours:
+ *           type: number
+ *           description: Tổng giờ các lượt trừ giờ nghỉ không tính lương
  *         overtime:
  *           type: number
  *           description: Số giờ làm thêm
+ *         nightHours:
+ *           type: number
+ *           description: Số giờ làm việc ban đêm (22:00 - 06:00)
+ *         dayType:
+ *           type: string
+ *           enum: [weekday, weekend, holiday]
+ *           description: Loại ngày dùng để tính hệ số làm thêm giờ
+ *         overtimeNightHours:
+ *           type: number
+ *           description: Phần giờ làm thêm vào ban đêm
+ *         toilHours:
+ *           type: number
+ *           description: Số giờ làm thêm được cộng vào số dư nghỉ bù thay vì trả lương
  *         status:
  *           type: string
  *           enum: [present, absent, leave, holiday]
+ *         workMode:
+ *           type: string
+ *           enum: [office, remote]
+ *           description: Làm việc tại văn phòng hay từ xa (theo đơn WFH đã duyệt)
+ *         shiftId:
+ *           type: string
+ *           description: ID ca làm việc áp dụng khi chấm công
+ *         leaveId:
+ *           type: string
+ *           description: ID đơn nghỉ phép (với bản ghi trạng thái leave)
+ *         timezone:
+ *           type: string
+ *           description: Múi giờ dùng để xác định ngày chấm công và giờ vào ca
+ *         autoClosed:
+ *           type: boolean
+ *           description: Lượt chưa check-out đã được hệ thống tự đóng tại giờ kết thúc ca
+ *         locationFlagged:
+ *           type: boolean
+ *           description: Có lượt chấm công ngoài khu vực văn phòng cho phép
  *         note:
  *           type: string
  *     Leave:
@@ -52,14 +173,111 @@ const OvertimeRequest = require('../models/OvertimeRequest');
  *           format: date
  *         type:
  *           type: string
- *           enum: [annual, sick, unpaid, other]
+ *           enum: [annual, sick, compensatory, unpaid, other]
  *         status:
  *           type: string
- *           enum: [pending, approved, rejected]
+ *           enum: [pending, approved, rejected, cancelled]
  *         reason:
  *           type: string
  *         approvedBy:
  *           type: string
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *         rejectionReason:
+ *           type: string
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         days:
+ *           type: number
+ *           description: Số ngày làm việc trong khoảng nghỉ
+ *         yearDays:
+ *           type: array
+ *           description: Số ngày làm việc theo từng năm, trừ vào số dư của năm tương ứng
+ *           items:
+ *             type: object
+ *             properties:
+ *               year:
+ *                 type: integer
+ *               days:
+ *                 type: number
+ *     AttendanceLocation:
+ *       type: object
+ *       properties:
+ *         latitude:
+ *           type: number
+ *         longitude:
+ *           type: number
+ *         accuracy:
+ *           type: number
+ *           description: Độ chính xác GPS (mét)
+ *         ipAddress:
+ *           type: string
+ *           description: Địa chỉ IP nguồn của lượt chấm công
+ *         officeLocationId:
+ *           type: string
+ *           description: Địa điểm văn phòng khớp hoặc gần nhất
+ *         matchedBy:
+ *           type: string
+ *           enum: [gps, network, kiosk, device]
+ *         kioskId:
+ *           type: string
+ *           description: Thiết bị kiosk đã phát mã QR (khi chấm công bằng mã QR)
+ *         deviceId:
+ *           type: string
+ *           description: Máy chấm công vân tay (khi nhập từ file)
+ *         distance:
+ *           type: number
+ *           description: Khoảng cách đến địa điểm văn phòng (mét)
+ *         isOutside:
+ *           type: boolean
+ *           description: Nằm ngoài khu vực văn phòng cho phép
+ *         isRemote:
+ *           type: boolean
+ *           description: Chấm công ngoài mạng văn phòng được ghi nhận làm việc từ xa
+ *     PunchLocation:
+ *       type: object
+ *       properties:
+ *         latitude:
+ *           type: number
+ *           example: 21.0285
+ *         longitude:
+ *           type: number
+ *           example: 105.8542
+ *         accuracy:
+ *           type: number
+ *           description: Độ chính xác GPS do thiết bị báo (mét)
+ *         kioskToken:
+ *           type: string
+ *           description: Mã QR quét từ kiosk tại văn phòng, thay cho kiểm tra GPS/mạng. Mỗi mã chỉ dùng được một lần.
+ *     LeaveBalance:
+ *       type: object
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [annual, sick, compensatory]
+ *         year:
+ *           type: integer
+ *         entitlement:
+ *           type: number
+ *           description: Số ngày được hưởng cả năm
+ *         accrued:
+ *           type: number
+ *           description: Số ngày đã được cộng dồn đến hiện tại
+ *         earned:
+ *           type: number
+ *           description: Số ngày nghỉ bù được cộng từ giờ làm thêm chọn nghỉ bù
+ *         adjustment:
+ *           type: number
+ *         used:
+ *           type: number
+ *         pending:
+ *           type: number
+ *           description: Số ngày của các đơn đang chờ duyệt
+ *         available:
+ *           type: number
+ *           description: Số ngày còn có thể xin nghỉ
  */
 
 /**
@@ -67,9 +285,15 @@ const OvertimeRequest = require('../models/OvertimeRequest');
  * /api/attendance/check-in:
  *   post:
  *     summary: Check-in cho nhân viên
+ *     description: Nếu nhân viên có địa điểm văn phòng được cấu hình, tọa độ thiết bị phải nằm trong bán kính cho phép hoặc địa chỉ IP thuộc dải mạng văn phòng (nếu không sẽ bị từ chối hoặc đánh dấu tùy cấu hình). Khi gửi kioskToken quét từ kiosk, mã QR còn hiệu lực được dùng làm bằng chứng có mặt tại văn phòng.
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PunchLocation'
  *     responses:
  *       201:
  *         description: Check-in thành công
@@ -84,6 +308,85 @@ const OvertimeRequest = require('../models/OvertimeRequest');
  *                   $ref: '#/components/schemas/Attendance'
  */
 
+// Đối chiếu tọa độ thiết bị (hoặc địa chỉ IP nếu không có GPS) với địa điểm văn phòng của nhân viên.
+// Trả về lỗi nếu bắt buộc chấm công tại văn phòng, ngược lại trả về vị trí để lưu vào lượt chấm công.
+// req.ip lấy từ X-Forwarded-For khi server cấu hình TRUST_PROXY.
+// Nếu có kioskToken, mã QR của kiosk thay thế cho việc đối chiếu GPS/mạng; kioskUse trả về
+// phải được đánh dấu bằng consumeKioskToken ngay trước khi lưu lượt chấm công.
+// Ngày làm từ xa đã được duyệt (remote) chỉ ghi nhận vị trí, không đối chiếu với văn phòng.
+const checkLocation = async (employee, req, { remote = false } = {}) => {
+  const { latitude, longitude, accuracy, kioskToken } = req.body;
+
+  if (kioskToken) {
+    const verified = await KioskDevice.verifyToken(kioskToken);
+    if (!verified || await KioskTokenUse.exists({ jti: verified.jti })) {
+      return { error: KIOSK_TOKEN_ERROR };
+    }
+    const { kiosk } = verified;
+    return {
+      location: {
+        ipAddress: normalizeIp(req.ip),
+        officeLocationId: kiosk.officeLocationId,
+        kioskId: kiosk._id,
+        matchedBy: 'kiosk'
+      },
+      kioskUse: {
+        jti: verified.jti,
+        kioskId: kiosk._id,
+        employeeId: employee._id,
+        expiresAt: verified.expiresAt
+      }
+    };
+  }
+
+  const coordinates = { latitude: Number(latitude), longitude: Number(longitude) };
+  const hasCoordinates = latitude !== undefined && longitude !== undefined &&
+    isValidCoordinates(coordinates.latitude, coordinates.longitude);
+  const ipAddress = normalizeIp(req.ip);
+  const position = hasCoordinates
+    ? { ...coordinates, accuracy: accuracy !== undefined ? Number(accuracy) : undefined, ipAddress }
+    : { ipAddress };
+
+  if (remote) {
+    return { location: { ...position, isRemote: true } };
+  }
+
+  const result = await OfficeLocation.verify(employee, {
+    coordinates: hasCoordinates ? coordinates : undefined,
+    ipAddress
+  });
+  if (!result) {
+    return { location: position };
+  }
+
+  // Có GPS thì áp dụng chính sách vị trí, chỉ có IP thì áp dụng chính sách mạng
+  const mode = hasCoordinates ? attendancePolicy.geofenceMode : attendancePolicy.networkMode;
+  if (!result.isInside && mode === 'enforce') {
+    return {
+      error: hasCoordinates
+        ? 'Vị trí chấm công nằm ngoài khu vực văn phòng cho phép'
+        : 'Vui lòng bật định vị hoặc kết nối mạng văn phòng để chấm công',
+      distance: result.distance
+    };
+  }
+
+  return {
+    location: {
+      ...position,
+      officeLocationId: result.location?._id,
+      matchedBy: result.matchedBy || undefined,
+      distance: result.distance ?? undefined,
+      isOutside: !result.isInside,
+      isRemote: !result.isInside && mode === 'remote'
+    }
+  };
+};
+
+// Mỗi mã QR chỉ dùng cho một lần chấm công, tránh chụp lại mã để chấm hộ. Mã chỉ được đánh
+// dấu đã dùng khi mọi kiểm tra khác đã qua, nên yêu cầu bị từ chối không làm mất mã.
+// Trả về false nếu mã vừa được dùng cho yêu cầu khác.
+const consumeKioskToken = async (kioskUse) => !kioskUse || KioskTokenUse.consume(kioskUse);
+
 // Check-in
 router.post('/check-in', auth, async (req, res) => {
   try {
@@ -93,8 +396,23 @@ router.post('/check-in', auth, async (req, res) => {
     }
 
     const now = new Date();
-    const today = new Date(now);
-    today.setHours(0, 0, 0, 0);
+
+    // Ngày chấm công là ngày bắt đầu ca theo múi giờ của nhân viên
+    // (ca đêm qua nửa đêm vẫn tính cho hôm trước)
+    const shift = await Shift.resolveForEmployee(employee);
+    const timeZone = await employee.resolveTimezone();
+    const today = shift.getShiftDate(now, timeZone);
+
+    const lockedPeriod = await AttendancePeriod.findLocked(today, today, timeZone);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    const remote = await RemoteWorkRequest.isRemoteDay(employee._id, today);
+    const { error: locationError, distance, location, kioskUse } = await checkLocation(employee, req, { remote });
+    if (locationError) {
+      return res.status(400).json({ message: locationError, distance });
+    }
 
     // Kiểm tra đã check-in chưa
     const existingAttendance = await Attendance.findOne({
@@ -102,38 +420,73 @@ router.post('/check-in', auth, async (req, res) => {
       date: today
     });
 
-    if (existingAttendance) {
-      return res.status(400).json({ message: 'Đã check-in hôm nay' });
+    if (existingAttendance?.status === 'leave') {
+      return res.status(400).json({ message: 'Hôm nay bạn đang trong thời gian nghỉ phép đã được duyệt' });
     }
 
-    // Thiết lập giờ check-in chuẩn (8:00)
-    const standardCheckIn = new Date(today);
-    standardCheckIn.setHours(8, 0, 0, 0);
+    // Đã có bản ghi trong ngày: mở thêm một lượt mới (sau giờ nghỉ trưa, đi công tác...)
+    if (existingAttendance && existingAttendance.status === 'present') {
+      if (existingAttendance.sessions.length === 0 && existingAttendance.checkIn) {
+        existingAttendance.recalculate(shift);
+      }
+      if (existingAttendance.getOpenSession()) {
+        return res.status(400).json({ message: 'Đang có lượt check-in chưa check-out' });
+      }
+
+      existingAttendance.sessions.push({ checkIn: now, checkInLocation: location });
+      if (location?.isOutside) existingAttendance.locationFlagged = true;
+      // Tính lại như khi check-out để giữ giờ làm thêm đã duyệt, loại ngày và giờ nghỉ bù
+      await existingAttendance.recompute(employee);
+      if (!await consumeKioskToken(kioskUse)) {
+        return res.status(400).json({ message: KIOSK_TOKEN_ERROR });
+      }
+      await existingAttendance.save();
 
-    // Tính thời gian đi muộn (nếu có)
-    let lateMinutes = 0;
-    if (now > standardCheckIn) {
-      lateMinutes = Math.floor((now - standardCheckIn) / (1000 * 60));
+      return res.status(201).json({
+        message: 'Check-in thành công',
+        attendance: {
+          ...existingAttendance.toObject(),
+          isLate: existingAttendance.lateMinutes > 0,
+          sessionCount: existingAttendance.sessions.length
+        }
+      });
     }
 
+    if (existingAttendance) {
+      return res.status(400).json({ message: 'Không thể check-in cho ngày này' });
+    }
+
+    // Giờ check-in chuẩn theo ca được gán cho nhân viên
+    const standardCheckIn = shift.getStartOn(today, timeZone);
+
     const attendance = new Attendance({
       employeeId: employee._id,
       date: today,
-      checkIn: now,
       standardCheckIn: standardCheckIn,
-      lateMinutes: lateMinutes,
+      shiftId: shift.isNew ? undefined : shift._id,
+      timezone: timeZone,
+      sessions: [{ checkIn: now, checkInLocation: location }],
+      locationFlagged: Boolean(location?.isOutside),
       status: 'present',
+      workMode: remote ? 'remote' : 'office',
       workingHours: 0
     });
 
+    // Tính thời gian đi muộn (nếu có), bỏ qua thời gian ân hạn và ngày nghỉ của ca,
+    // và kiểm tra số lần đi muộn cho phép trong tháng
+    await attendance.recompute(employee);
+    if (!await consumeKioskToken(kioskUse)) {
+      return res.status(400).json({ message: KIOSK_TOKEN_ERROR });
+    }
     await attendance.save();
 
     res.status(201).json({
       message: 'Check-in thành công',
       attendance: {
         ...attendance.toObject(),
-        isLate: lateMinutes > 0,
-        lateMinutes
+        isLate: attendance.lateMinutes > 0,
+        lateMinutes: attendance.lateMinutes,
+        sessionCount: 1
       }
     });
   } catch (error) {
@@ -145,14 +498,29 @@ router.post('/check-in', auth, async (req, res) => {
   }
 });
 
+// Tìm bản ghi có lượt đang mở gần nhất, không phụ thuộc ngày hiện tại để hỗ trợ ca qua nửa đêm
+const findOpenAttendance = (employeeId, now) => {
+  return Attendance.findOne({
+    ...Attendance.openFilter(),
+    employeeId,
+    checkIn: { $gte: new Date(now.getTime() - attendancePolicy.maxSessionHours * 60 * 60 * 1000) }
+  }).sort({ checkIn: -1 });
+};
+
 /**
  * @swagger
  * /api/attendance/check-out:
  *   post:
  *     summary: Check-out cho nhân viên
+ *     description: Đóng lượt check-in đang mở gần nhất, kể cả khi ca làm việc kéo dài qua nửa đêm. Có thể check-in/check-out nhiều lượt trong một ngày. Vị trí (hoặc mã QR kiosk) được kiểm tra giống như check-in.
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PunchLocation'
  *     responses:
  *       200:
  *         description: Check-out thành công
@@ -171,49 +539,55 @@ router.post('/check-in', auth, async (req, res) => {
 router.post('/check-out', auth, async (req, res) => {
   try {
     const employee = await Employee.findOne({ userId: req.user._id });
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
 
-    const attendance = await Attendance.findOne({
-      employeeId: employee._id,
-      date: today
-    });
+    const now = new Date();
+    const attendance = await findOpenAttendance(employee._id, now);
 
     if (!attendance) {
-      return res.status(404).json({ message: 'Chưa check-in hôm nay' });
+      return res.status(404).json({ message: 'Không có lượt check-in nào đang mở' });
     }
 
-    if (attendance.checkOut) {
-      return res.status(400).json({ message: 'Đã check-out hôm nay' });
+    const lockedPeriod = await AttendancePeriod.findLocked(attendance.date, attendance.date, attendance.timezone);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
     }
 
-    // Kiểm tra yêu cầu làm thêm giờ
-    const overtimeRequest = await OvertimeRequest.findOne({
-      employeeId: employee._id,
-      date: today,
-      status: 'approved'
+    const { error: locationError, distance, location, kioskUse } = await checkLocation(employee, req, {
+      remote: attendance.workMode === 'remote'
     });
+    if (locationError) {
+      return res.status(400).json({ message: locationError, distance });
+    }
 
-    attendance.checkOut = new Date();
-    
-    // Tính số giờ làm việc
-    const workingHours = (attendance.checkOut - attendance.checkIn) / (1000 * 60 * 60);
-    attendance.workingHours = Number(workingHours.toFixed(2));
-
-    // Tính giờ làm thêm nếu có yêu cầu được duyệt
-    const standardHours = 8;
-    if (overtimeRequest && workingHours > standardHours) {
-      const actualOvertime = workingHours - standardHours;
-      attendance.overtime = Math.min(actualOvertime, overtimeRequest.requestedHours);
+    // Bản ghi cũ chỉ có checkIn được chuyển thành một lượt đang mở
+    if (attendance.sessions.length === 0) {
+      attendance.sessions.push({ checkIn: attendance.checkIn });
     }
 
+    // Đóng lượt đang mở và giờ nghỉ chưa kết thúc
+    const openSession = attendance.getOpenSession();
+    openSession.checkOut = now;
+    openSession.checkOutLocation = location;
+    if (location?.isOutside) attendance.locationFlagged = true;
+    const openBreak = attendance.getOpenBreak();
+    if (openBreak) openBreak.end = now;
+
+    // Tính giờ làm việc (trừ giờ nghỉ), giờ làm đêm và giờ làm thêm theo yêu cầu đã duyệt
+    await attendance.recompute(employee);
+    if (!await consumeKioskToken(kioskUse)) {
+      return res.status(400).json({ message: KIOSK_TOKEN_ERROR });
+    }
     await attendance.save();
 
     res.json({
       message: 'Check-out thành công',
       attendance: {
         ...attendance.toObject(),
-        isLate: attendance.lateMinutes > 0
+        isLate: attendance.lateMinutes > 0,
+        sessionCount: attendance.sessions.length
       }
     });
   } catch (error) {
@@ -223,9 +597,9 @@ router.post('/check-out', auth, async (req, res) => {
 
 /**
  * @swagger
- * /api/attendance/leave:
+ * /api/attendance/break/start:
  *   post:
- *     summary: Gửi đơn xin nghỉ phép
+ *     summary: Bắt đầu nghỉ giữa giờ
  *     tags: [Attendance]
  *     security:
  *       - bearerAuth: []
@@ -236,51 +610,317 @@ router.post('/check-out', auth, async (req, res) => {
  *           schema:
  *             type: object
  *             required:
- *               - startDate
- *               - endDate
  *               - type
- *               - reason
  *             properties:
- *               startDate:
- *                 type: string
- *                 format: date
- *               endDate:
- *                 type: string
- *                 format: date
  *               type:
  *                 type: string
- *                 enum: [annual, sick, unpaid, other]
- *               reason:
- *                 type: string
+ *                 enum: [meal, rest, personal, field_work]
+ *                 description: Nghỉ ăn, nghỉ giải lao (tính lương), việc riêng, công tác ngoài (tính lương)
  *     responses:
- *       201:
- *         description: Gửi đơn xin nghỉ thành công
+ *       200:
+ *         description: Đã bắt đầu nghỉ
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Leave'
+ *               $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Loại nghỉ không hợp lệ hoặc đang trong giờ nghỉ
+ *       404:
+ *         description: Không có lượt check-in nào đang mở
  */
-
-// Xin nghỉ phép
-router.post('/leave', auth, async (req, res) => {
+router.post('/break/start', auth, async (req, res) => {
   try {
-    const { startDate, endDate, type, reason } = req.body;
+    const { type } = req.body;
+    if (!attendancePolicy.breakTypes[type]) {
+      return res.status(400).json({ message: 'Loại nghỉ không hợp lệ' });
+    }
+
     const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
 
-    const leave = new Leave({
-      employeeId: employee._id,
-      startDate,
-      endDate,
+    const now = new Date();
+    const attendance = await findOpenAttendance(employee._id, now);
+    if (!attendance) {
+      return res.status(404).json({ message: 'Không có lượt check-in nào đang mở' });
+    }
+
+    const lockedPeriod = await AttendancePeriod.findLocked(attendance.date, attendance.date, attendance.timezone);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    if (attendance.getOpenBreak()) {
+      return res.status(400).json({ message: 'Đang trong giờ nghỉ' });
+    }
+
+    attendance.breaks.push({
       type,
-      reason
+      start: now,
+      isPaid: attendancePolicy.breakTypes[type].isPaid
     });
+    await attendance.save();
 
-    await leave.save();
+    res.json(attendance);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
 
-    res.status(201).json({
-      message: 'Đã gửi đơn xin nghỉ phép',
-      leave
+/**
+ * @swagger
+ * /api/attendance/break/end:
+ *   post:
+ *     summary: Kết thúc nghỉ giữa giờ
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Đã kết thúc nghỉ
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Không trong giờ nghỉ
+ *       404:
+ *         description: Không có lượt check-in nào đang mở
+ */
+router.post('/break/end', auth, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const now = new Date();
+    const attendance = await findOpenAttendance(employee._id, now);
+    if (!attendance) {
+      return res.status(404).json({ message: 'Không có lượt check-in nào đang mở' });
+    }
+
+    const lockedPeriod = await AttendancePeriod.findLocked(attendance.date, attendance.date, attendance.timezone);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    const openBreak = attendance.getOpenBreak();
+    if (!openBreak) {
+      return res.status(400).json({ message: 'Không trong giờ nghỉ' });
+    }
+
+    openBreak.end = now;
+    await attendance.recompute(employee);
+    await attendance.save();
+
+    res.json(attendance);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/import:
+ *   post:
+ *     summary: Nhập dữ liệu chấm công từ file xuất của máy chấm công vân tay (chỉ admin)
+ *     description: |
+ *       File CSV hoặc XLSX, dòng đầu là tiêu đề gồm cột mã nhân viên (code, user id, mã nv...), cột thời gian
+ *       (timestamp, datetime, thời gian... hoặc hai cột date và time) và cột thiết bị (không bắt buộc).
+ *       Mã trên máy được đối chiếu với attendanceCode của nhân viên, thời gian được hiểu theo múi giờ của nhân viên.
+ *       Các lần quét trong cùng ngày làm việc được ghép lần lượt thành cặp check-in/check-out cùng với các lượt đã có.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Kết quả nhập theo từng dòng
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     imported:
+ *                       type: integer
+ *                     duplicate:
+ *                       type: integer
+ *                     unmatched:
+ *                       type: integer
+ *                     invalid:
+ *                       type: integer
+ *                     skipped:
+ *                       type: integer
+ *                     attendances:
+ *                       type: integer
+ *                       description: Số bản ghi chấm công được tạo hoặc cập nhật
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                       code:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [imported, duplicate, unmatched, invalid, skipped]
+ *                       employeeId:
+ *                         type: string
+ *                       date:
+ *                         type: string
+ *                         format: date
+ *                       time:
+ *                         type: string
+ *                         format: date-time
+ *                       message:
+ *                         type: string
+ *       400:
+ *         description: File không hợp lệ
+ */
+router.post('/import', [auth, isAdmin, upload.single('file')], async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Vui lòng chọn file CSV hoặc XLSX' });
+    }
+
+    let rows;
+    try {
+      rows = await readPunchFile(req.file.buffer, req.file.originalname);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const codes = [...new Set(rows.map(row => row.code).filter(Boolean))];
+    const employees = await Employee.find({ attendanceCode: { $in: codes } });
+    const employeesByCode = new Map(employees.map(employee => [employee.attendanceCode, employee]));
+
+    const now = new Date();
+    const report = [];
+    const contexts = new Map();
+    const groups = new Map();
+
+    for (const row of rows) {
+      const employee = employeesByCode.get(row.code);
+      if (!employee) {
+        report.push({ row: row.row, code: row.code, status: 'unmatched', message: 'Không tìm thấy nhân viên có mã chấm công này' });
+        continue;
+      }
+
+      // Ca làm việc và múi giờ được xác định một lần cho mỗi nhân viên
+      if (!contexts.has(row.code)) {
+        contexts.set(row.code, {
+          shift: await Shift.resolveForEmployee(employee),
+          timeZone: await employee.resolveTimezone()
+        });
+      }
+      const { shift, timeZone } = contexts.get(row.code);
+
+      const time = parseTimestamp(row.value, timeZone);
+      if (!time || time > now) {
+        report.push({
+          row: row.row,
+          code: row.code,
+          employeeId: employee._id,
+          status: 'invalid',
+          message: time ? 'Thời gian chấm công ở tương lai' : 'Thời gian chấm công không hợp lệ'
+        });
+        continue;
+      }
+
+      const date = shift.getShiftDate(time, timeZone);
+      const key = `${employee._id}_${date.getTime()}`;
+      if (!groups.has(key)) {
+        groups.set(key, { employee, shift, timeZone, date, punches: [] });
+      }
+      groups.get(key).punches.push({
+        time,
+        location: { matchedBy: 'device', deviceId: row.device },
+        row
+      });
+    }
+
+    let attendanceCount = 0;
+    for (const { employee, shift, timeZone, date, punches } of groups.values()) {
+      const result = (punch, status, message) => ({
+        row: punch.row.row,
+        code: punch.row.code,
+        employeeId: employee._id,
+        date: formatDate(date, timeZone),
+        time: punch.time,
+        status,
+        message
+      });
+
+      const lockedPeriod = await AttendancePeriod.findLocked(date, date, timeZone);
+      if (lockedPeriod) {
+        punches.forEach(punch => report.push(result(punch, 'skipped', lockedPeriod.getLockedMessage())));
+        continue;
+      }
+
+      let attendance = await Attendance.findOne({ employeeId: employee._id, date });
+      if (attendance && ['leave', 'holiday'].includes(attendance.status)) {
+        punches.forEach(punch => report.push(result(punch, 'skipped', 'Ngày nghỉ phép hoặc ngày lễ đã được ghi nhận')));
+        continue;
+      }
+
+      if (!attendance) {
+        attendance = new Attendance({
+          employeeId: employee._id,
+          date,
+          shiftId: shift.isNew ? undefined : shift._id,
+          timezone: timeZone,
+          sessions: []
+        });
+      }
+      // Bản ghi vắng mặt do job hằng đêm tạo được chuyển thành có mặt khi có dữ liệu quét
+      if (attendance.status === 'absent') {
+        attendance.note = undefined;
+      }
+      if (!attendance.standardCheckIn) {
+        attendance.standardCheckIn = shift.getStartOn(date, timeZone);
+      }
+
+      const { imported, duplicates } = attendance.mergePunches(punches, {
+        windowMinutes: attendancePolicy.import.duplicateWindowMinutes
+      });
+      imported.forEach(punch => report.push(result(punch, 'imported')));
+      duplicates.forEach(punch => report.push(result(punch, 'duplicate', 'Trùng với giờ vào/ra đã có')));
+
+      if (imported.length > 0) {
+        await attendance.recompute(employee);
+        await attendance.save();
+        attendanceCount++;
+      }
+    }
+
+    report.sort((a, b) => a.row - b.row);
+    const summary = { total: report.length, attendances: attendanceCount };
+    ['imported', 'duplicate', 'unmatched', 'invalid', 'skipped'].forEach(status => {
+      summary[status] = report.filter(item => item.status === status).length;
     });
+
+    req.changes = { file: req.file.originalname, summary };
+    await activityLogger('create', 'attendance')(req, res);
+
+    res.json({ summary, rows: report });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -330,12 +970,36 @@ router.post('/leave', auth, async (req, res) => {
  *                         type: integer
  *                       totalOvertime:
  *                         type: number
+ *                       totalNightHours:
+ *                         type: number
+ *                       totalSessions:
+ *                         type: integer
+ *                       totalBreakMinutes:
+ *                         type: number
  *                       presentDays:
  *                         type: integer
  *                       absentDays:
  *                         type: integer
  *                       leaveDays:
  *                         type: integer
+ *                       lateDays:
+ *                         type: integer
+ *                       earlyLeaveDays:
+ *                         type: integer
+ *                       totalEarlyLeaveMinutes:
+ *                         type: number
+ *                       totalAbsenceDays:
+ *                         type: number
+ *                         description: Số ngày vắng do đi muộn/về sớm vượt ngưỡng nửa ngày
+ *                       totalViolations:
+ *                         type: integer
+ *                         description: Tổng số vi phạm quy định đi muộn/về sớm
+ *                       officeDays:
+ *                         type: integer
+ *                         description: Số ngày làm việc tại văn phòng
+ *                       remoteDays:
+ *                         type: integer
+ *                         description: Số ngày làm việc từ xa
  *                       employee:
  *                         $ref: '#/components/schemas/Employee'
  */
@@ -344,8 +1008,7 @@ router.post('/leave', auth, async (req, res) => {
 router.get('/report', auth, async (req, res) => {
   try {
     const { month, year } = req.query;
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0);
+    const { startDate, endDate } = getMonthRange(year, month);
 
     const report = await Attendance.aggregate([
       {
@@ -359,7 +1022,19 @@ router.get('/report', auth, async (req, res) => {
           totalDays: { $sum: 1 },
           totalWorkingHours: { $sum: '$workingHours' },
           totalOvertime: { $sum: '$overtime' },
+          totalNightHours: { $sum: '$nightHours' },
+          totalSessions: { $sum: { $size: { $ifNull: ['$sessions', []] } } },
+          totalBreakMinutes: { $sum: '$breakMinutes' },
           totalLateMinutes: { $sum: '$lateMinutes' },
+          totalEarlyLeaveMinutes: { $sum: '$earlyLeaveMinutes' },
+          lateDays: {
+            $sum: { $cond: [{ $gt: ['$lateMinutes', 0] }, 1, 0] }
+          },
+          earlyLeaveDays: {
+            $sum: { $cond: [{ $gt: ['$earlyLeaveMinutes', 0] }, 1, 0] }
+          },
+          totalAbsenceDays: { $sum: '$absenceDays' },
+          totalViolations: { $sum: { $size: { $ifNull: ['$violations', []] } } },
           presentDays: {
             $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] }
           },
@@ -368,6 +1043,12 @@ router.get('/report', auth, async (req, res) => {
           },
           leaveDays: {
             $sum: { $cond: [{ $eq: ['$status', 'leave'] }, 1, 0] }
+          },
+          officeDays: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$status', 'present'] }, { $ne: ['$workMode', 'remote'] }] }, 1, 0] }
+          },
+          remoteDays: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$status', 'present'] }, { $eq: ['$workMode', 'remote'] }] }, 1, 0] }
           }
         }
       },
@@ -392,10 +1073,20 @@ router.get('/report', auth, async (req, res) => {
           totalDays: 1,
           totalWorkingHours: { $round: ['$totalWorkingHours', 2] },
           totalOvertime: { $round: ['$totalOvertime', 2] },
+          totalNightHours: { $round: ['$totalNightHours', 2] },
+          totalSessions: 1,
+          totalBreakMinutes: 1,
           totalLateMinutes: 1,
+          totalEarlyLeaveMinutes: 1,
+          lateDays: 1,
+          earlyLeaveDays: 1,
+          totalAbsenceDays: 1,
+          totalViolations: 1,
           presentDays: 1,
           absentDays: 1,
-          leaveDays: 1
+          leaveDays: 1,
+          officeDays: 1,
+          remoteDays: 1
         }
       }
     ]);
@@ -440,8 +1131,8 @@ router.get('/report/me', auth, async (req, res) => {
     const { month, year } = req.query;
     const employee = await Employee.findOne({ userId: req.user._id });
 
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0);
+    // Ranh giới tháng theo múi giờ của nhân viên
+    const { startDate, endDate } = getMonthRange(year, month, await employee.resolveTimezone());
 
     const attendances = await Attendance.find({
       employeeId: employee._id,
@@ -453,10 +1144,20 @@ router.get('/report/me', auth, async (req, res) => {
       totalDays: attendances.length,
       totalWorkingHours: Number(attendances.reduce((sum, att) => sum + (att.workingHours || 0), 0).toFixed(2)),
       totalOvertime: Number(attendances.reduce((sum, att) => sum + (att.overtime || 0), 0).toFixed(2)),
+      totalNightHours: Number(attendances.reduce((sum, att) => sum + (att.nightHours || 0), 0).toFixed(2)),
+      totalSessions: attendances.reduce((sum, att) => sum + (att.sessions?.length || 0), 0),
+      totalBreakMinutes: attendances.reduce((sum, att) => sum + (att.breakMinutes || 0), 0),
       totalLateMinutes: attendances.reduce((sum, att) => sum + (att.lateMinutes || 0), 0),
+      totalEarlyLeaveMinutes: attendances.reduce((sum, att) => sum + (att.earlyLeaveMinutes || 0), 0),
+      lateDays: attendances.filter(att => att.lateMinutes > 0).length,
+      earlyLeaveDays: attendances.filter(att => att.earlyLeaveMinutes > 0).length,
+      totalAbsenceDays: attendances.reduce((sum, att) => sum + (att.absenceDays || 0), 0),
+      totalViolations: attendances.reduce((sum, att) => sum + (att.violations?.length || 0), 0),
       presentDays: attendances.filter(att => att.status === 'present').length,
       absentDays: attendances.filter(att => att.status === 'absent').length,
-      leaveDays: attendances.filter(att => att.status === 'leave').length
+      leaveDays: attendances.filter(att => att.status === 'leave').length,
+      officeDays: attendances.filter(att => att.status === 'present' && att.workMode !== 'remote').length,
+      remoteDays: attendances.filter(att => att.status === 'present' && att.workMode === 'remote').length
     };
 
     res.json({
@@ -475,6 +1176,354 @@ router.get('/report/me', auth, async (req, res) => {
   }
 });
 
+// Lịch chấm công của nhân viên trong tháng: mỗi ngày gồm bản ghi chấm công, nghỉ phép,
+// ngày lễ, làm thêm giờ, làm từ xa, các yêu cầu đang chờ duyệt và trạng thái của ngày
+const buildCalendar = async (employee, year, month) => {
+  const timeZone = await employee.resolveTimezone();
+  const { startDate, endDate } = getMonthRange(year, month, timeZone);
+  const range = { $gte: startDate, $lte: endDate };
+  const now = new Date();
+
+  const [shift, attendances, leaves, holidays, overtimeRequests, corrections, remoteRequests] = await Promise.all([
+    Shift.resolveForEmployee(employee),
+    Attendance.find({ employeeId: employee._id, date: range }),
+    Leave.find({
+      employeeId: employee._id,
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: endDate },
+      endDate: { $gte: startDate }
+    }),
+    Holiday.findInRange(startDate, endDate, timeZone),
+    OvertimeRequest.find({ employeeId: employee._id, date: range, status: { $in: ['pending', 'approved'] } }),
+    AttendanceCorrection.find({ employeeId: employee._id, date: range, status: 'pending' }),
+    RemoteWorkRequest.find({ employeeId: employee._id, dates: range, status: { $in: ['pending', 'approved'] } })
+  ]);
+
+  const byDate = (items, field = 'date') => new Map(items.map(item => [item[field].getTime(), item]));
+  const attendanceByDate = byDate(attendances);
+  const holidayByDate = byDate(holidays);
+  const correctionByDate = byDate(corrections);
+
+  // Ca đã áp dụng cho từng bản ghi (dùng lại khi nhiều ngày cùng ca)
+  const shifts = new Map();
+  const resolveShift = async (attendance) => {
+    const key = String(attendance.shiftId || '');
+    if (!shifts.has(key)) {
+      shifts.set(key, attendance.shiftId ? await Shift.resolveForAttendance(attendance, employee) : shift);
+    }
+    return shifts.get(key);
+  };
+
+  const days = [];
+  for (const day of eachDay(startDate, endDate, timeZone)) {
+    const time = day.getTime();
+    const attendance = attendanceByDate.get(time);
+    const holiday = holidayByDate.get(time);
+    const dayLeaves = leaves.filter(leave => leave.startDate <= day && leave.endDate >= day);
+    const approvedLeave = dayLeaves.find(leave => leave.status === 'approved');
+    const dayOvertime = overtimeRequests.filter(request => request.date.getTime() === time);
+    const approvedOvertime = dayOvertime.find(request => request.status === 'approved');
+    const dayRemote = remoteRequests.filter(request => request.dates.some(date => date.getTime() === time));
+    const isRemote = dayRemote.some(request => request.status === 'approved');
+    const isWorkingDay = shift.isWorkingDay(day, timeZone) && !holiday;
+
+    const pendingRequests = [
+      ...dayLeaves.filter(leave => leave.status === 'pending').map(leave => ({ type: 'leave', _id: leave._id })),
+      ...dayOvertime.filter(request => request.status === 'pending').map(request => ({ type: 'overtime', _id: request._id })),
+      ...dayRemote.filter(request => request.status === 'pending').map(request => ({ type: 'remote', _id: request._id }))
+    ];
+    if (correctionByDate.has(time)) {
+      pendingRequests.push({ type: 'correction', _id: correctionByDate.get(time)._id });
+    }
+
+    // Trạng thái ưu tiên: bản ghi chấm công, nghỉ phép, ngày lễ, ngày nghỉ của ca, vắng mặt
+    let dayStatus;
+    if (attendance) {
+      dayStatus = attendance.getDayStatus(await resolveShift(attendance), now);
+    } else if (approvedLeave) {
+      dayStatus = { status: 'leave', flags: [] };
+    } else if (holiday) {
+      dayStatus = { status: 'holiday', flags: [] };
+    } else if (!isWorkingDay) {
+      dayStatus = { status: 'day_off', flags: [] };
+    } else if (now < shift.getEndOn(day, timeZone)) {
+      dayStatus = { status: 'upcoming', flags: [] };
+    } else {
+      dayStatus = { status: 'absent', flags: [] };
+    }
+
+    days.push({
+      date: formatDate(day, timeZone),
+      weekday: getDay(day, timeZone),
+      isWorkingDay,
+      ...dayStatus,
+      holiday: holiday ? { name: holiday.name } : null,
+      leave: approvedLeave ? { _id: approvedLeave._id, type: approvedLeave.type } : null,
+      overtime: approvedOvertime ? { _id: approvedOvertime._id, requestedHours: approvedOvertime.requestedHours } : null,
+      workMode: attendance?.workMode || (isRemote ? 'remote' : null),
+      attendance: attendance ? {
+        _id: attendance._id,
+        checkIn: attendance.checkIn,
+        checkOut: attendance.checkOut,
+        workingHours: attendance.workingHours,
+        lateMinutes: attendance.lateMinutes,
+        earlyLeaveMinutes: attendance.earlyLeaveMinutes,
+        violations: attendance.violations.map(item => item.type),
+        overtime: attendance.overtime,
+        sessionCount: attendance.sessions.length
+      } : null,
+      pendingRequests
+    });
+  }
+
+  const summary = {};
+  days.forEach(day => {
+    summary[day.status] = (summary[day.status] || 0) + 1;
+  });
+
+  return {
+    employee: {
+      id: employee._id,
+      fullName: employee.fullName,
+      department: employee.department
+    },
+    year,
+    month,
+    timezone: timeZone,
+    summary,
+    days
+  };
+};
+
+// Tháng, năm của lịch, mặc định tháng hiện tại theo múi giờ tổ chức
+const parseCalendarMonth = ({ month, year }) => {
+  const current = getDateParts(new Date());
+  const parsedYear = year ? Number(year) : current.year;
+  const parsedMonth = month ? Number(month) : current.month;
+  if (!Number.isInteger(parsedYear) || !Number.isInteger(parsedMonth) || parsedMonth < 1 || parsedMonth > 12) {
+    return null;
+  }
+  return { year: parsedYear, month: parsedMonth };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AttendanceCalendar:
+ *       type: object
+ *       properties:
+ *         employee:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *             department:
+ *               type: string
+ *         year:
+ *           type: integer
+ *         month:
+ *           type: integer
+ *         timezone:
+ *           type: string
+ *         summary:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           description: Số ngày theo từng trạng thái
+ *         days:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               weekday:
+ *                 type: integer
+ *                 description: Thứ trong tuần (0 = Chủ nhật)
+ *               isWorkingDay:
+ *                 type: boolean
+ *               status:
+ *                 type: string
+ *                 enum: [on_time, late, early_leave, missing_checkout, in_progress, absent, leave, holiday, day_off, upcoming]
+ *               flags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [late, early_leave, missing_checkout]
+ *               holiday:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *               leave:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   type:
+ *                     type: string
+ *               overtime:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   requestedHours:
+ *                     type: number
+ *               workMode:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [office, remote]
+ *               attendance:
+ *                 type: object
+ *                 nullable: true
+ *                 properties:
+ *                   _id:
+ *                     type: string
+ *                   checkIn:
+ *                     type: string
+ *                     format: date-time
+ *                   checkOut:
+ *                     type: string
+ *                     format: date-time
+ *                   workingHours:
+ *                     type: number
+ *                   lateMinutes:
+ *                     type: number
+ *                   earlyLeaveMinutes:
+ *                     type: number
+ *                   violations:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   overtime:
+ *                     type: number
+ *                   sessionCount:
+ *                     type: integer
+ *               pendingRequests:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [leave, overtime, remote, correction]
+ *                     _id:
+ *                       type: string
+ */
+
+/**
+ * @swagger
+ * /api/attendance/calendar/me:
+ *   get:
+ *     summary: Lịch chấm công theo tháng của nhân viên hiện tại
+ *     description: Mỗi ngày trong tháng gồm chấm công, nghỉ phép, ngày lễ, ngày nghỉ, làm thêm giờ đã duyệt, các yêu cầu đang chờ duyệt và trạng thái của ngày.
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         description: Mặc định tháng hiện tại
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lịch chấm công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AttendanceCalendar'
+ *       400:
+ *         description: Tháng không hợp lệ
+ */
+router.get('/calendar/me', auth, async (req, res) => {
+  try {
+    const period = parseCalendarMonth(req.query);
+    if (!period) {
+      return res.status(400).json({ message: 'Năm hoặc tháng không hợp lệ' });
+    }
+
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    res.json(await buildCalendar(employee, period.year, period.month));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/calendar/{employeeId}:
+ *   get:
+ *     summary: Lịch chấm công theo tháng của một nhân viên (chỉ admin)
+ *     tags: [Attendance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: employeeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lịch chấm công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AttendanceCalendar'
+ *       400:
+ *         description: Tháng không hợp lệ
+ *       404:
+ *         description: Không tìm thấy nhân viên
+ */
+router.get('/calendar/:employeeId', [auth, isAdmin], async (req, res) => {
+  try {
+    const period = parseCalendarMonth(req.query);
+    if (!period) {
+      return res.status(400).json({ message: 'Năm hoặc tháng không hợp lệ' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.employeeId)) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+    const employee = await Employee.findById(req.params.employeeId);
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    res.json(await buildCalendar(employee, period.year, period.month));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/attendance/report/all:
@@ -503,13 +1552,12 @@ router.get('/report/me', auth, async (req, res) => {
  *         description: ID phòng ban (không bắt buộc)
  *     responses:
  *       200:
- *         description: Báo cáo chấm công tất cả nhân viên
+ *         description: Báo cáo chấm công tất cả nhân viên, gồm số ngày tại văn phòng (officeDays) và làm từ xa (remoteDays)
  */
 router.get('/report/all', [auth, isAdmin], async (req, res) => {
   try {
     const { month, year, department } = req.query;
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 0);
+    const { startDate, endDate } = getMonthRange(year, month);
 
     // Xây dựng pipeline
     const pipeline = [
@@ -556,7 +1604,19 @@ router.get('/report/all', [auth, isAdmin], async (req, res) => {
           department: { $first: '$departmentInfo.name' },
           totalWorkingHours: { $sum: '$workingHours' },
           totalOvertimeHours: { $sum: '$overtime' },
+          totalNightHours: { $sum: '$nightHours' },
+          totalSessions: { $sum: { $size: { $ifNull: ['$sessions', []] } } },
+          totalBreakMinutes: { $sum: '$breakMinutes' },
           totalLateMinutes: { $sum: '$lateMinutes' },
+          totalEarlyLeaveMinutes: { $sum: '$earlyLeaveMinutes' },
+          lateDays: {
+            $sum: { $cond: [{ $gt: ['$lateMinutes', 0] }, 1, 0] }
+          },
+          earlyLeaveDays: {
+            $sum: { $cond: [{ $gt: ['$earlyLeaveMinutes', 0] }, 1, 0] }
+          },
+          totalAbsenceDays: { $sum: '$absenceDays' },
+          totalViolations: { $sum: { $size: { $ifNull: ['$violations', []] } } },
           presentDays: {
             $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] }
           },
@@ -565,6 +1625,12 @@ router.get('/report/all', [auth, isAdmin], async (req, res) => {
           },
           leaveDays: {
             $sum: { $cond: [{ $eq: ['$status', 'leave'] }, 1, 0] }
+          },
+          officeDays: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$status', 'present'] }, { $ne: ['$workMode', 'remote'] }] }, 1, 0] }
+          },
+          remoteDays: {
+            $sum: { $cond: [{ $and: [{ $eq: ['$status', 'present'] }, { $eq: ['$workMode', 'remote'] }] }, 1, 0] }
           }
         }
       },
@@ -574,10 +1640,20 @@ router.get('/report/all', [auth, isAdmin], async (req, res) => {
           department: 1,
           totalWorkingHours: { $round: ['$totalWorkingHours', 2] },
           totalOvertimeHours: { $round: ['$totalOvertimeHours', 2] },
+          totalNightHours: { $round: ['$totalNightHours', 2] },
+          totalSessions: 1,
+          totalBreakMinutes: 1,
           totalLateMinutes: 1,
+          totalEarlyLeaveMinutes: 1,
+          lateDays: 1,
+          earlyLeaveDays: 1,
+          totalAbsenceDays: 1,
+          totalViolations: 1,
           presentDays: 1,
           absentDays: 1,
-          leaveDays: 1
+          leaveDays: 1,
+          officeDays: 1,
+          remoteDays: 1
         }
       }
     );
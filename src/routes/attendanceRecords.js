@@ -0,0 +1,556 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, isAdmin } = require('../middleware/auth');
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Shift = require('../models/Shift');
+const RemoteWorkRequest = require('../models/RemoteWorkRequest');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const activityLogger = require('../middleware/activityLogger');
+const { attendance: attendancePolicy } = require('../config/policy');
+const { startOfDay, addDays } = require('../utils/date');
+
+// Trạng thái admin được phép nhập trực tiếp. Bản ghi nghỉ phép chỉ sinh ra từ đơn nghỉ phép.
+const RECORD_STATUSES = ['present', 'absent', 'holiday'];
+const WORK_MODES = ['office', 'remote'];
+const DUPLICATE_MESSAGE = 'Nhân viên đã có bản ghi chấm công cho ngày này';
+
+// Chuẩn hóa các lượt vào/ra từ body: mảng sessions hoặc cặp checkIn/checkOut.
+// Trả về { sessions } hoặc { error }
+const parseSessions = (body, day, timeZone) => {
+  const input = Array.isArray(body.sessions)
+    ? body.sessions
+    : [{ checkIn: body.checkIn, checkOut: body.checkOut }];
+
+  if (input.length === 0) {
+    return { error: 'Cần ít nhất một lượt vào/ra' };
+  }
+
+  const nextDay = addDays(day, 1, timeZone);
+  const now = new Date();
+  const sessions = [];
+  for (const item of input) {
+    const checkIn = item?.checkIn ? new Date(item.checkIn) : null;
+    const checkOut = item?.checkOut ? new Date(item.checkOut) : undefined;
+    if (!checkIn || isNaN(checkIn)) return { error: 'Giờ vào không hợp lệ' };
+    if (checkOut && isNaN(checkOut)) return { error: 'Giờ ra không hợp lệ' };
+    if (checkIn < day || checkIn >= nextDay) return { error: 'Giờ vào phải thuộc ngày chấm công' };
+    if (checkIn > now || (checkOut && checkOut > now)) {
+      return { error: 'Giờ vào/ra không được ở tương lai' };
+    }
+    if (checkOut) {
+      const hours = (checkOut - checkIn) / (1000 * 60 * 60);
+      if (hours <= 0) return { error: 'Giờ ra phải sau giờ vào' };
+      if (hours > attendancePolicy.maxSessionHours) {
+        return { error: `Một lượt làm việc không được dài quá ${attendancePolicy.maxSessionHours} giờ` };
+      }
+    }
+    sessions.push({ checkIn, checkOut });
+  }
+
+  // Các lượt không được chồng lên nhau, chỉ lượt cuối cùng được phép chưa check-out
+  sessions.sort((a, b) => a.checkIn - b.checkIn);
+  for (let i = 0; i < sessions.length - 1; i++) {
+    if (!sessions[i].checkOut || sessions[i].checkOut > sessions[i + 1].checkIn) {
+      return { error: 'Các lượt vào/ra bị chồng lên nhau' };
+    }
+  }
+
+  return { sessions };
+};
+
+const hasTimes = (body) => body.sessions !== undefined || body.checkIn !== undefined || body.checkOut !== undefined;
+
+// Gán trạng thái và giờ vào/ra cho bản ghi. Ngày không đi làm không giữ lượt chấm công nào,
+// giờ nghỉ nằm ngoài các lượt mới bị loại bỏ.
+const applyRecord = (attendance, status, sessions) => {
+  attendance.status = status;
+  if (status !== 'present') {
+    attendance.sessions = [];
+    attendance.breaks = [];
+    attendance.checkIn = undefined;
+    attendance.checkOut = undefined;
+    attendance.autoClosed = false;
+    return;
+  }
+  if (!sessions) return;
+
+  attendance.sessions = sessions;
+  attendance.breaks = attendance.breaks.filter(item => sessions.some(session =>
+    item.start >= session.checkIn && (!session.checkOut || (item.end && item.end <= session.checkOut))
+  ));
+  attendance.checkIn = undefined;
+  attendance.checkOut = undefined;
+  attendance.autoClosed = false;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: AttendanceRecords
+ *   description: API quản lý trực tiếp bản ghi chấm công (chỉ admin)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AttendanceRecordInput:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [present, absent, holiday]
+ *           default: present
+ *         sessions:
+ *           type: array
+ *           description: Các lượt vào/ra trong ngày, thay thế toàn bộ lượt hiện có
+ *           items:
+ *             type: object
+ *             required:
+ *               - checkIn
+ *             properties:
+ *               checkIn:
+ *                 type: string
+ *                 format: date-time
+ *               checkOut:
+ *                 type: string
+ *                 format: date-time
+ *         checkIn:
+ *           type: string
+ *           format: date-time
+ *           description: Dùng khi chỉ có một lượt, bỏ qua nếu có sessions
+ *         checkOut:
+ *           type: string
+ *           format: date-time
+ *         workMode:
+ *           type: string
+ *           enum: [office, remote]
+ *         note:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/attendance/records:
+ *   get:
+ *     summary: Lấy danh sách bản ghi chấm công (chỉ admin)
+ *     tags: [AttendanceRecords]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [present, absent, leave, holiday]
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Danh sách bản ghi chấm công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 records:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Attendance'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ */
+router.get('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const { employeeId, status, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (employeeId) query.employeeId = employeeId;
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = startOfDay(startDate);
+      if (endDate) query.date.$lte = startOfDay(endDate);
+    }
+
+    const [records, total] = await Promise.all([
+      Attendance.find(query)
+        .populate('employeeId', 'fullName department')
+        .sort({ date: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Attendance.countDocuments(query)
+    ]);
+
+    res.json({
+      records,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/records/{id}:
+ *   get:
+ *     summary: Lấy chi tiết bản ghi chấm công (chỉ admin)
+ *     tags: [AttendanceRecords]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chi tiết bản ghi chấm công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Attendance'
+ *       404:
+ *         description: Không tìm thấy bản ghi
+ */
+router.get('/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Không tìm thấy bản ghi chấm công' });
+    }
+    const attendance = await Attendance.findById(req.params.id)
+      .populate('employeeId', 'fullName department');
+    if (!attendance) {
+      return res.status(404).json({ message: 'Không tìm thấy bản ghi chấm công' });
+    }
+    res.json(attendance);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/records:
+ *   post:
+ *     summary: Tạo bản ghi chấm công cho nhân viên (chỉ admin)
+ *     description: Số phút đi muộn, về sớm, giờ làm việc, giờ làm đêm và giờ làm thêm được tính lại từ các lượt vào/ra. Mỗi nhân viên chỉ có một bản ghi cho mỗi ngày.
+ *     tags: [AttendanceRecords]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/AttendanceRecordInput'
+ *               - type: object
+ *                 required:
+ *                   - employeeId
+ *                   - date
+ *                 properties:
+ *                   employeeId:
+ *                     type: string
+ *                   date:
+ *                     type: string
+ *                     format: date
+ *     responses:
+ *       201:
+ *         description: Tạo bản ghi thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 attendance:
+ *                   $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Dữ liệu không hợp lệ, đã có bản ghi cho ngày này hoặc kỳ chấm công đã khóa
+ *       404:
+ *         description: Không tìm thấy nhân viên
+ */
+router.post('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const { employeeId, date, status = 'present', workMode, note } = req.body;
+
+    const errors = [];
+    if (!employeeId) errors.push('Nhân viên là bắt buộc');
+    if (!date || isNaN(new Date(date))) errors.push('Ngày chấm công không hợp lệ');
+    if (!RECORD_STATUSES.includes(status)) errors.push('Trạng thái không hợp lệ');
+    if (workMode !== undefined && !WORK_MODES.includes(workMode)) errors.push('Hình thức làm việc không hợp lệ');
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Dữ liệu không hợp lệ',
+        errors
+      });
+    }
+
+    const employee = mongoose.Types.ObjectId.isValid(employeeId) && await Employee.findById(employeeId);
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const timeZone = await employee.resolveTimezone();
+    const day = startOfDay(date, timeZone);
+    if (day > new Date()) {
+      return res.status(400).json({ message: 'Không thể tạo bản ghi chấm công cho ngày trong tương lai' });
+    }
+
+    let sessions;
+    if (status === 'present') {
+      const parsed = parseSessions(req.body, day, timeZone);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      sessions = parsed.sessions;
+    }
+
+    const lockedPeriod = await AttendancePeriod.findLocked(day, day, timeZone);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    const existing = await Attendance.findOne({ employeeId: employee._id, date: day });
+    if (existing) {
+      return res.status(400).json({ message: DUPLICATE_MESSAGE, attendance: existing });
+    }
+
+    const shift = await Shift.resolveForEmployee(employee);
+    const attendance = new Attendance({
+      employeeId: employee._id,
+      date: day,
+      timezone: timeZone,
+      shiftId: shift.isNew ? undefined : shift._id,
+      standardCheckIn: shift.getStartOn(day, timeZone),
+      workMode: workMode || (await RemoteWorkRequest.isRemoteDay(employee._id, day) ? 'remote' : 'office'),
+      note
+    });
+    applyRecord(attendance, status, sessions);
+
+    await attendance.recompute(employee);
+    try {
+      await attendance.save();
+    } catch (error) {
+      // Bản ghi cùng ngày được tạo đồng thời (check-in, nhập file...) sau khi kiểm tra ở trên
+      if (error.code === 11000) {
+        const duplicate = await Attendance.findOne({ employeeId: employee._id, date: day });
+        return res.status(400).json({ message: DUPLICATE_MESSAGE, attendance: duplicate });
+      }
+      throw error;
+    }
+
+    req.entityId = attendance._id;
+    req.changes = Attendance.diffSnapshots(null, attendance.snapshot());
+    await activityLogger('create', 'attendance')(req, res);
+
+    res.status(201).json({
+      message: 'Tạo bản ghi chấm công thành công',
+      attendance
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/records/{id}:
+ *   put:
+ *     summary: Cập nhật giờ vào/ra và trạng thái bản ghi chấm công (chỉ admin)
+ *     description: Khi có sessions hoặc checkIn/checkOut, toàn bộ lượt vào/ra của ngày được thay thế. Các chỉ số được tính lại sau khi cập nhật.
+ *     tags: [AttendanceRecords]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AttendanceRecordInput'
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 attendance:
+ *                   $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Dữ liệu không hợp lệ, bản ghi nghỉ phép hoặc kỳ chấm công đã khóa
+ *       404:
+ *         description: Không tìm thấy bản ghi
+ */
+router.put('/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const attendance = mongoose.Types.ObjectId.isValid(req.params.id) && await Attendance.findById(req.params.id);
+    if (!attendance) {
+      return res.status(404).json({ message: 'Không tìm thấy bản ghi chấm công' });
+    }
+
+    if (attendance.status === 'leave' || attendance.leaveId) {
+      return res.status(400).json({ message: 'Bản ghi nghỉ phép được cập nhật theo đơn nghỉ phép' });
+    }
+
+    const { status = attendance.status, workMode, note } = req.body;
+    const errors = [];
+    if (!RECORD_STATUSES.includes(status)) errors.push('Trạng thái không hợp lệ');
+    if (workMode !== undefined && !WORK_MODES.includes(workMode)) errors.push('Hình thức làm việc không hợp lệ');
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Dữ liệu không hợp lệ',
+        errors
+      });
+    }
+
+    const employee = await Employee.findById(attendance.employeeId);
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const timeZone = attendance.timezone || await employee.resolveTimezone();
+    const lockedPeriod = await AttendancePeriod.findLocked(attendance.date, attendance.date, timeZone);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    // Chuyển sang có mặt từ ngày vắng/ngày lễ cần nhập giờ vào/ra mới
+    let sessions;
+    if (status === 'present' && (hasTimes(req.body) || attendance.status !== 'present')) {
+      const parsed = parseSessions(req.body, attendance.date, timeZone);
+      if (parsed.error) {
+        return res.status(400).json({ message: parsed.error });
+      }
+      sessions = parsed.sessions;
+    }
+
+    const before = attendance.snapshot();
+
+    if (!attendance.standardCheckIn) {
+      const shift = await Shift.resolveForAttendance(attendance, employee);
+      attendance.timezone = timeZone;
+      attendance.shiftId = shift.isNew ? undefined : shift._id;
+      attendance.standardCheckIn = shift.getStartOn(attendance.date, timeZone);
+    }
+    applyRecord(attendance, status, sessions);
+    if (workMode !== undefined) attendance.workMode = workMode;
+    if (note !== undefined) attendance.note = note;
+
+    await attendance.recompute(employee);
+    await attendance.save();
+
+    req.entityId = attendance._id;
+    req.originalBody = before;
+    req.changes = Attendance.diffSnapshots(before, attendance.snapshot());
+    await activityLogger('update', 'attendance')(req, res);
+
+    res.json({
+      message: 'Cập nhật bản ghi chấm công thành công',
+      attendance
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/records/{id}:
+ *   delete:
+ *     summary: Xóa bản ghi chấm công (chỉ admin)
+ *     tags: [AttendanceRecords]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Xóa thành công
+ *       400:
+ *         description: Bản ghi nghỉ phép hoặc kỳ chấm công đã khóa
+ *       404:
+ *         description: Không tìm thấy bản ghi
+ */
+router.delete('/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const attendance = mongoose.Types.ObjectId.isValid(req.params.id) && await Attendance.findById(req.params.id);
+    if (!attendance) {
+      return res.status(404).json({ message: 'Không tìm thấy bản ghi chấm công' });
+    }
+
+    if (attendance.status === 'leave' || attendance.leaveId) {
+      return res.status(400).json({ message: 'Bản ghi nghỉ phép chỉ được xóa khi hủy đơn nghỉ phép' });
+    }
+
+    const lockedPeriod = await AttendancePeriod.findLocked(attendance.date, attendance.date, attendance.timezone);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    await attendance.deleteOne();
+
+    req.entityId = attendance._id;
+    req.originalBody = attendance.toObject();
+    await activityLogger('delete', 'attendance')(req, res);
+
+    res.json({ message: 'Xóa bản ghi chấm công thành công' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,524 @@
+const express = require('express');
+const router = express.Router();
+const { auth, isAdmin } = require('../middleware/auth');
+const AttendanceCorrection = require('../models/AttendanceCorrection');
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const Shift = require('../models/Shift');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const activityLogger = require('../middleware/activityLogger');
+const { attendance: attendancePolicy } = require('../config/policy');
+const { startOfDay, addDays } = require('../utils/date');
+
+const CORRECTION_TYPES = ['missing_check_in', 'missing_check_out', 'wrong_time'];
+// Kiểm tra yêu cầu điều chỉnh có phù hợp với bản ghi chấm công hiện tại hay không
+const validateAgainstAttendance = (type, attendance) => {
+  if (attendance && ['leave', 'holiday'].includes(attendance.status)) {
+    return 'Không thể điều chỉnh chấm công cho ngày nghỉ';
+  }
+  if (type === 'missing_check_in' && attendance?.status === 'present') {
+    return 'Ngày này đã có dữ liệu check-in';
+  }
+  // Lượt đã được hệ thống tự đóng vẫn được xem là quên check-out
+  if (type === 'missing_check_out') {
+    const hasOpenSession = attendance?.status === 'present' && (attendance.autoClosed ||
+      attendance.sessions.some(session => !session.checkOut) ||
+      (attendance.sessions.length === 0 && !attendance.checkOut));
+    if (!hasOpenSession) {
+      return 'Không có lượt check-in nào chưa check-out trong ngày này';
+    }
+  }
+  if (type === 'wrong_time' && attendance?.status !== 'present') {
+    return 'Ngày này chưa có dữ liệu chấm công';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Corrections
+ *   description: API yêu cầu điều chỉnh chấm công
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AttendanceCorrection:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         employeeId:
+ *           type: string
+ *         attendanceId:
+ *           type: string
+ *           description: Bản ghi chấm công được điều chỉnh
+ *         date:
+ *           type: string
+ *           format: date
+ *         type:
+ *           type: string
+ *           enum: [missing_check_in, missing_check_out, wrong_time]
+ *           description: Quên check-in, quên check-out hoặc sai giờ
+ *         checkIn:
+ *           type: string
+ *           format: date-time
+ *           description: Giờ vào đề nghị
+ *         checkOut:
+ *           type: string
+ *           format: date-time
+ *           description: Giờ ra đề nghị
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         rejectionReason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/attendance/corrections:
+ *   post:
+ *     summary: Gửi yêu cầu điều chỉnh chấm công
+ *     tags: [Corrections]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *               - type
+ *               - reason
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 description: Ngày chấm công cần điều chỉnh
+ *               type:
+ *                 type: string
+ *                 enum: [missing_check_in, missing_check_out, wrong_time]
+ *               checkIn:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Bắt buộc với missing_check_in
+ *               checkOut:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Bắt buộc với missing_check_out
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Đã gửi yêu cầu điều chỉnh
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AttendanceCorrection'
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc đã có yêu cầu đang chờ duyệt
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { date, type, checkIn, checkOut, reason } = req.body;
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const errors = [];
+    if (!date || isNaN(new Date(date))) errors.push('Ngày chấm công không hợp lệ');
+    if (!CORRECTION_TYPES.includes(type)) errors.push('Loại điều chỉnh không hợp lệ');
+    if (!reason) errors.push('Lý do là bắt buộc');
+    if (type === 'missing_check_in' && !checkIn) errors.push('Giờ vào là bắt buộc');
+    if (type === 'missing_check_out' && !checkOut) errors.push('Giờ ra là bắt buộc');
+    if (type === 'wrong_time' && !checkIn && !checkOut) errors.push('Cần nhập giờ vào hoặc giờ ra');
+    if (checkIn && isNaN(new Date(checkIn))) errors.push('Giờ vào không hợp lệ');
+    if (checkOut && isNaN(new Date(checkOut))) errors.push('Giờ ra không hợp lệ');
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Dữ liệu không hợp lệ',
+        errors
+      });
+    }
+
+    const timeZone = await employee.resolveTimezone();
+    const day = startOfDay(date, timeZone);
+    const requestedCheckIn = checkIn ? new Date(checkIn) : undefined;
+    const requestedCheckOut = checkOut ? new Date(checkOut) : undefined;
+
+    // Giờ vào phải thuộc ngày chấm công, giờ ra không được ở tương lai
+    // và lượt làm việc không vượt quá giới hạn của một lượt
+    if (requestedCheckIn && (requestedCheckIn < day || requestedCheckIn >= addDays(day, 1, timeZone))) {
+      return res.status(400).json({ message: 'Giờ vào phải thuộc ngày chấm công' });
+    }
+    if (requestedCheckOut && requestedCheckOut > new Date()) {
+      return res.status(400).json({ message: 'Giờ ra không được ở tương lai' });
+    }
+    if (requestedCheckIn && requestedCheckOut) {
+      const hours = (requestedCheckOut - requestedCheckIn) / (1000 * 60 * 60);
+      if (hours <= 0 || hours > attendancePolicy.maxSessionHours) {
+        return res.status(400).json({ message: 'Giờ ra phải sau giờ vào' });
+      }
+    }
+
+    const lockedPeriod = await AttendancePeriod.findLocked(day, day, timeZone);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    const attendance = await Attendance.findOne({ employeeId: employee._id, date: day });
+    const conflict = validateAgainstAttendance(type, attendance);
+    if (conflict) {
+      return res.status(400).json({ message: conflict });
+    }
+
+    const pending = await AttendanceCorrection.findOne({
+      employeeId: employee._id,
+      date: day,
+      status: 'pending'
+    });
+    if (pending) {
+      return res.status(400).json({
+        message: 'Đã có yêu cầu điều chỉnh đang chờ duyệt cho ngày này',
+        correction: pending
+      });
+    }
+
+    const correction = new AttendanceCorrection({
+      employeeId: employee._id,
+      attendanceId: attendance?._id,
+      date: day,
+      type,
+      checkIn: requestedCheckIn,
+      checkOut: requestedCheckOut,
+      reason
+    });
+    await correction.save();
+
+    res.status(201).json(correction);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/corrections/me:
+ *   get:
+ *     summary: Lấy danh sách yêu cầu điều chỉnh của nhân viên hiện tại
+ *     tags: [Corrections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *     responses:
+ *       200:
+ *         description: Danh sách yêu cầu điều chỉnh
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AttendanceCorrection'
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const query = { employeeId: employee._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const corrections = await AttendanceCorrection.find(query)
+      .populate('reviewedBy', 'email')
+      .sort({ date: -1 });
+
+    res.json(corrections);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/corrections:
+ *   get:
+ *     summary: Lấy danh sách yêu cầu điều chỉnh chấm công (chỉ admin)
+ *     tags: [Corrections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Danh sách yêu cầu điều chỉnh
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 corrections:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AttendanceCorrection'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ */
+router.get('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const { status, employeeId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (employeeId) query.employeeId = employeeId;
+
+    const [corrections, total] = await Promise.all([
+      AttendanceCorrection.find(query)
+        .populate('employeeId', 'fullName department')
+        .populate('reviewedBy', 'email')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      AttendanceCorrection.countDocuments(query)
+    ]);
+
+    res.json({
+      corrections,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/corrections/approve/{id}:
+ *   put:
+ *     summary: Duyệt yêu cầu điều chỉnh và cập nhật bản ghi chấm công (chỉ admin)
+ *     description: Giờ vào/ra được cập nhật theo yêu cầu, sau đó tính lại số phút đi muộn, giờ làm việc và giờ làm thêm.
+ *     tags: [Corrections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Đã duyệt yêu cầu
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 correction:
+ *                   $ref: '#/components/schemas/AttendanceCorrection'
+ *                 attendance:
+ *                   $ref: '#/components/schemas/Attendance'
+ *       400:
+ *         description: Yêu cầu không còn chờ duyệt hoặc không còn phù hợp với bản ghi chấm công
+ *       404:
+ *         description: Không tìm thấy yêu cầu
+ */
+router.put('/approve/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const correction = await AttendanceCorrection.findById(req.params.id);
+    if (!correction) {
+      return res.status(404).json({ message: 'Không tìm thấy yêu cầu điều chỉnh' });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(400).json({ message: 'Chỉ có thể duyệt yêu cầu đang chờ duyệt' });
+    }
+
+    const employee = await Employee.findById(correction.employeeId);
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    // Bản ghi có thể đã thay đổi từ khi gửi yêu cầu, kiểm tra lại trước khi áp dụng
+    let attendance = await Attendance.findOne({ employeeId: employee._id, date: correction.date });
+    const lockedPeriod = await AttendancePeriod.findLocked(
+      correction.date,
+      correction.date,
+      attendance?.timezone || await employee.resolveTimezone()
+    );
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    const conflict = validateAgainstAttendance(correction.type, attendance);
+    if (conflict) {
+      return res.status(400).json({ message: conflict });
+    }
+
+    const isNew = !attendance;
+    const before = attendance ? attendance.snapshot() : null;
+
+    if (isNew || !attendance.standardCheckIn) {
+      const shift = await Shift.resolveForEmployee(employee);
+      const timeZone = attendance?.timezone || await employee.resolveTimezone();
+      attendance = attendance || new Attendance({ employeeId: employee._id, date: correction.date });
+      attendance.timezone = timeZone;
+      attendance.shiftId = shift.isNew ? undefined : shift._id;
+      attendance.standardCheckIn = shift.getStartOn(correction.date, timeZone);
+    }
+
+    correction.applyTo(attendance);
+    if (attendance.sessions.some(session => session.checkOut && session.checkOut <= session.checkIn)) {
+      return res.status(400).json({ message: 'Giờ ra phải sau giờ vào' });
+    }
+
+    await attendance.recompute(employee);
+    await attendance.save();
+
+    correction.attendanceId = attendance._id;
+    correction.status = 'approved';
+    correction.reviewedBy = req.user._id;
+    correction.reviewedAt = new Date();
+    await correction.save();
+
+    // Ghi log thay đổi của bản ghi chấm công với giá trị trước/sau khi điều chỉnh
+    const after = attendance.snapshot();
+    req.entityId = attendance._id;
+    req.originalBody = before;
+    req.changes = Attendance.diffSnapshots(before, after);
+    req.body = { ...after, correctionId: correction._id };
+    await activityLogger(isNew ? 'create' : 'update', 'attendance')(req, res);
+
+    res.json({
+      message: 'Đã duyệt yêu cầu điều chỉnh chấm công',
+      correction,
+      attendance
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/corrections/reject/{id}:
+ *   put:
+ *     summary: Từ chối yêu cầu điều chỉnh chấm công (chỉ admin)
+ *     tags: [Corrections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Lý do từ chối
+ *     responses:
+ *       200:
+ *         description: Đã từ chối yêu cầu
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AttendanceCorrection'
+ *       400:
+ *         description: Thiếu lý do hoặc yêu cầu không còn chờ duyệt
+ *       404:
+ *         description: Không tìm thấy yêu cầu
+ */
+router.put('/reject/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ message: 'Vui lòng nhập lý do từ chối' });
+    }
+
+    const correction = await AttendanceCorrection.findById(req.params.id);
+    if (!correction) {
+      return res.status(404).json({ message: 'Không tìm thấy yêu cầu điều chỉnh' });
+    }
+
+    if (correction.status !== 'pending') {
+      return res.status(400).json({ message: 'Chỉ có thể từ chối yêu cầu đang chờ duyệt' });
+    }
+
+    req.originalBody = correction.toObject();
+
+    correction.status = 'rejected';
+    correction.rejectionReason = reason;
+    correction.reviewedBy = req.user._id;
+    correction.reviewedAt = new Date();
+    await correction.save();
+
+    req.changes = { status: { from: 'pending', to: 'rejected' } };
+    await activityLogger('update', 'correction')(req, res);
+
+    res.json(correction);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
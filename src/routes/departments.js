@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const Department = require('../models/Department');
 const Employee = require('../models/Employee');
+const Shift = require('../models/Shift');
 const { auth, isAdmin } = require('../middleware/auth');
 
 /**
@@ -107,6 +108,13 @@ router.get('/:id', auth, async (req, res) => {
  *                 type: string
  *               managerId:
  *                 type: string
+ *               shiftId:
+ *                 type: string
+ *                 description: Ca làm việc mặc định của phòng ban
+ *               timezone:
+ *                 type: string
+ *                 example: Asia/Ho_Chi_Minh
+ *                 description: Múi giờ của phòng ban/chi nhánh
  *     responses:
  *       201:
  *         description: Phòng ban đã được tạo
@@ -117,17 +125,23 @@ router.get('/:id', auth, async (req, res) => {
  */
 router.post('/', [auth, isAdmin], async (req, res) => {
   try {
-    const { name, description, managerId } = req.body;
+    const { name, description, managerId, shiftId, timezone } = req.body;
 
     const existingDepartment = await Department.findOne({ name });
     if (existingDepartment) {
       return res.status(400).json({ message: 'Tên phòng ban đã tồn tại' });
     }
 
+    if (shiftId && !(await Shift.exists({ _id: shiftId, isActive: true }))) {
+      return res.status(400).json({ message: 'Ca làm việc không tồn tại' });
+    }
+
     const department = new Department({
       name,
       description,
-      manager: managerId
+      manager: managerId,
+      shift: shiftId,
+      timezone
     });
 
     await department.save();
@@ -140,7 +154,7 @@ router.post('/', [auth, isAdmin], async (req, res) => {
 // Cập nhật phòng ban
 router.put('/:id', [auth, isAdmin], async (req, res) => {
   try {
-    const { name, description, managerId, isActive } = req.body;
+    const { name, description, managerId, shiftId, timezone, isActive } = req.body;
     const department = await Department.findById(req.params.id);
 
     if (!department) {
@@ -157,6 +171,13 @@ router.put('/:id', [auth, isAdmin], async (req, res) => {
 
     if (description !== undefined) department.description = description;
     if (managerId !== undefined) department.manager = managerId;
+    if (shiftId !== undefined) {
+      if (shiftId && !(await Shift.exists({ _id: shiftId, isActive: true }))) {
+        return res.status(400).json({ message: 'Ca làm việc không tồn tại' });
+      }
+      department.shift = shiftId || undefined;
+    }
+    if (timezone !== undefined) department.timezone = timezone || undefined;
     if (isActive !== undefined) department.isActive = isActive;
 
     await department.save();
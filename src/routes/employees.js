@@ -5,9 +5,116 @@ const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/cl
 const Employee = require('../models/Employee');
 const { auth, isAdmin, isOwner } = require('../middleware/auth');
 const Department = require('../models/Department');
+const Shift = require('../models/Shift');
+const Attendance = require('../models/Attendance');
 const User = require('../models/User');
 const mongoose = require('mongoose');
 const activityLogger = require('../middleware/activityLogger');
+const { night: nightPolicy } = require('../config/policy');
+const { overtimeGroupFields, regularHoursExpression, overtimePayExpression } = require('../utils/overtime');
+const { getDateParts, getMonthRange } = require('../utils/date');
+
+// Lương giờ và giờ chuẩn một ngày của các nhân viên thỏa query, tính theo giờ chuẩn và
+// ngày làm việc của ca trong tháng hiện tại
+const currentSalaryRates = async (query = {}) => {
+  const { year, month } = getDateParts(new Date());
+  const { startDate, endDate } = getMonthRange(year, month);
+  const employees = await Employee.find(query).select('salary department shift timezone');
+  return Employee.salaryRateExpressions(employees, startDate, endDate);
+};
+
+// Tổng hợp giờ công, tiền lương, lương ngày nghỉ có lương, tiền làm thêm (theo hệ số loại ngày)
+// và phụ cấp làm đêm của nhân viên theo phòng ban, cùng cách tính với Employee.calculateSalary
+const salaryStatsStages = ({ hourlyRate, dailyHours }) => [
+  {
+    $lookup: {
+      from: 'attendances',
+      let: { employeeId: '$_id' },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [
+                { $eq: ['$employeeId', '$$employeeId'] },
+                { $in: ['$status', ['present', 'leave']] }
+              ]
+            }
+          }
+        },
+        ...Attendance.paidLeaveStages(),
+        {
+          $group: {
+            _id: null,
+            totalWorkingHours: { $sum: '$workingHours' },
+            totalRegularHours: { $sum: regularHoursExpression() },
+            totalOvertimeHours: { $sum: '$overtime' },
+            totalNightHours: { $sum: { $ifNull: ['$nightHours', 0] } },
+            paidLeaveDays: { $sum: '$paidLeave' },
+            ...overtimeGroupFields()
+          }
+        }
+      ],
+      as: 'attendanceStats'
+    }
+  },
+  {
+    $addFields: {
+      workingHours: {
+        $ifNull: [{ $first: '$attendanceStats.totalWorkingHours' }, 0]
+      },
+      overtimeHours: {
+        $ifNull: [{ $first: '$attendanceStats.totalOvertimeHours' }, 0]
+      },
+      nightHours: {
+        $ifNull: [{ $first: '$attendanceStats.totalNightHours' }, 0]
+      },
+      hourlyRate,
+      regularPay: {
+        $multiply: [
+          hourlyRate,
+          { $ifNull: [{ $first: '$attendanceStats.totalRegularHours' }, 0] }
+        ]
+      },
+      leavePay: {
+        $multiply: [
+          hourlyRate,
+          dailyHours,
+          { $ifNull: [{ $first: '$attendanceStats.paidLeaveDays' }, 0] }
+        ]
+      },
+      overtimePay: overtimePayExpression(
+        hourlyRate,
+        field => ({ $first: `$attendanceStats.${field}` })
+      ),
+      nightPay: {
+        $multiply: [
+          hourlyRate,
+          { $ifNull: [{ $first: '$attendanceStats.totalNightHours' }, 0] },
+          nightPolicy.premiumRate
+        ]
+      }
+    }
+  },
+  {
+    $group: {
+      _id: '$department',
+      count: { $sum: 1 },
+      totalBaseSalary: { $sum: '$salary' },
+      totalWorkingHours: { $sum: '$workingHours' },
+      totalOvertimeHours: { $sum: '$overtimeHours' },
+      totalNightHours: { $sum: '$nightHours' },
+      totalRegularPay: { $sum: { $round: ['$regularPay', 2] } },
+      totalLeavePay: { $sum: { $round: ['$leavePay', 2] } },
+      totalOvertimePay: { $sum: { $round: ['$overtimePay', 2] } },
+      totalNightPay: { $sum: { $round: ['$nightPay', 2] } },
+      totalSalary: {
+        $sum: {
+          $round: [{ $add: ['$regularPay', '$leavePay', '$overtimePay', '$nightPay'] }, 2]
+        }
+      }
+    }
+  }
+];
 
 /**
  * @swagger
@@ -151,6 +258,8 @@ router.get('/', auth, async (req, res) => {
 
     const skip = (page - 1) * limit;
     
+    const salaryRates = await currentSalaryRates(query);
+
     // Thực hiện query với Promise.all để tối ưu hiệu năng
     const [employees, total, stats] = await Promise.all([
       Employee.find(query)
@@ -163,72 +272,7 @@ router.get('/', auth, async (req, res) => {
       Employee.countDocuments(query),
       Employee.aggregate([
         { $match: query },
-        {
-          $lookup: {
-            from: 'attendances',
-            let: { employeeId: '$_id' },
-            pipeline: [
-              {
-                $match: {
-                  $expr: {
-                    $and: [
-                      { $eq: ['$employeeId', '$$employeeId'] },
-                      { $eq: ['$status', 'present'] }
-                    ]
-                  }
-                }
-              },
-              {
-                $group: {
-                  _id: null,
-                  totalWorkingHours: { $sum: '$workingHours' },
-                  totalOvertimeHours: { $sum: '$overtime' }
-                }
-              }
-            ],
-            as: 'attendanceStats'
-          }
-        },
-        {
-          $addFields: {
-            workingHours: { 
-              $ifNull: [{ $first: '$attendanceStats.totalWorkingHours' }, 0] 
-            },
-            overtimeHours: { 
-              $ifNull: [{ $first: '$attendanceStats.totalOvertimeHours' }, 0] 
-            },
-            hourlyRate: { $divide: ['$salary', { $multiply: [8, 22] }] },
-            regularPay: {
-              $multiply: [
-                { $divide: ['$salary', { $multiply: [8, 22] }] },
-                { $ifNull: [{ $first: '$attendanceStats.totalWorkingHours' }, 0] }
-              ]
-            },
-            overtimePay: {
-              $multiply: [
-                { $divide: ['$salary', { $multiply: [8, 22] }] },
-                { $ifNull: [{ $first: '$attendanceStats.totalOvertimeHours' }, 0] },
-                1.5
-              ]
-            }
-          }
-        },
-        {
-          $group: {
-            _id: '$department',
-            count: { $sum: 1 },
-            totalBaseSalary: { $sum: '$salary' },
-            totalWorkingHours: { $sum: '$workingHours' },
-            totalOvertimeHours: { $sum: '$overtimeHours' },
-            totalRegularPay: { $sum: { $round: ['$regularPay', 2] } },
-            totalOvertimePay: { $sum: { $round: ['$overtimePay', 2] } },
-            totalSalary: { 
-              $sum: { 
-                $round: [{ $add: ['$regularPay', '$overtimePay'] }, 2] 
-              } 
-            }
-          }
-        }
+        ...salaryStatsStages(salaryRates)
       ])
     ]);
 
@@ -248,8 +292,11 @@ router.get('/', auth, async (req, res) => {
         totalBaseSalary: 0,
         totalWorkingHours: 0,
         totalOvertimeHours: 0,
+        totalNightHours: 0,
         totalRegularPay: 0,
-        totalOvertimePay: 0
+        totalLeavePay: 0,
+        totalOvertimePay: 0,
+        totalNightPay: 0
       }
     });
   } catch (error) {
@@ -326,41 +373,29 @@ router.get('/:id', [auth, isOwner], async (req, res) => {
  *                     type: string
  *                   count:
  *                     type: integer
- *                   totalSalary:
+ *                   totalBaseSalary:
+ *                     type: number
+ *                   totalWorkingHours:
+ *                     type: number
+ *                   totalOvertimeHours:
+ *                     type: number
+ *                   totalNightHours:
+ *                     type: number
+ *                   totalRegularPay:
  *                     type: number
- *                   avgSalary:
+ *                   totalLeavePay:
+ *                     type: number
+ *                   totalOvertimePay:
+ *                     type: number
+ *                   totalNightPay:
+ *                     type: number
+ *                   totalSalary:
  *                     type: number
  */
 router.get('/stats/department', auth, isAdmin, async (req, res) => {
   try {
-    const stats = await Employee.aggregate([
-      {
-        $group: {
-          _id: '$department',
-          count: { $sum: 1 },
-          totalBaseSalary: { $sum: '$baseSalary' },
-          totalWorkingHours: { $sum: '$workingHours' },
-          totalOvertimeHours: { $sum: '$overtimeHours' },
-          totalRegularPay: {
-            $sum: {
-              $multiply: [
-                { $divide: ['$baseSalary', { $multiply: [8, 22] }] },
-                '$workingHours'
-              ]
-            }
-          },
-          totalOvertimePay: {
-            $sum: {
-              $multiply: [
-                { $divide: ['$baseSalary', { $multiply: [8, 22] }] },
-                '$overtimeHours',
-                1.5
-              ]
-            }
-          }
-        }
-      }
-    ]);
+    const salaryRates = await currentSalaryRates();
+    const stats = await Employee.aggregate(salaryStatsStages(salaryRates));
 
     res.json(stats);
   } catch (error) {
@@ -535,10 +570,15 @@ router.post('/', [auth, isAdmin], async (req, res, next) => {
       position,
       salary: Number(salary),
       baseSalary: Number(salary),
-      hourlyRate: Number(salary) / (8 * 22),
       startDate: new Date(startDate)
     });
 
+    // Lương giờ theo giờ chuẩn và ngày làm việc của ca trong tháng hiện tại
+    const now = getDateParts(new Date());
+    const currentMonth = getMonthRange(now.year, now.month);
+    const { standardHours } = await employee.getStandardHours(currentMonth.startDate, currentMonth.endDate);
+    employee.hourlyRate = standardHours > 0 ? employee.salary / standardHours : 0;
+
     await employee.save();
 
     // Cập nhật số lượng nhân viên trong department
@@ -625,6 +665,22 @@ router.post('/', [auth, isAdmin], async (req, res, next) => {
  *               startDate:
  *                 type: string
  *                 format: date
+ *               shift:
+ *                 type: string
+ *                 description: ID ca làm việc riêng (null để dùng ca của phòng ban)
+ *               timezone:
+ *                 type: string
+ *                 example: Asia/Ho_Chi_Minh
+ *                 description: Múi giờ riêng (null để dùng múi giờ của phòng ban)
+ *               attendanceCode:
+ *                 type: string
+ *                 description: Mã người dùng trên máy chấm công vân tay (null để bỏ liên kết)
+ *               remoteDaysPerMonth:
+ *                 type: number
+ *                 description: Định mức ngày làm từ xa mỗi tháng (null để dùng định mức chung)
+ *               overtimeRate:
+ *                 type: number
+ *                 description: Hệ số làm thêm giờ riêng thay cho hệ số ngày thường (null để dùng hệ số theo chính sách)
  */
 router.put('/:id', [auth, isAdmin], async (req, res) => {
   try {
@@ -644,6 +700,35 @@ router.put('/:id', [auth, isAdmin], async (req, res) => {
       }
     }
 
+    if (updateData.shift !== undefined) {
+      if (updateData.shift && !(await Shift.exists({ _id: updateData.shift, isActive: true }))) {
+        return res.status(400).json({ message: 'Ca làm việc không tồn tại' });
+      }
+      updateData.shift = updateData.shift || undefined;
+    }
+    if (updateData.timezone !== undefined) {
+      updateData.timezone = updateData.timezone || undefined;
+    }
+    if (updateData.attendanceCode !== undefined) {
+      updateData.attendanceCode = updateData.attendanceCode ? String(updateData.attendanceCode).trim() : undefined;
+      if (updateData.attendanceCode && await Employee.exists({
+        _id: { $ne: employee._id },
+        attendanceCode: updateData.attendanceCode
+      })) {
+        return res.status(400).json({ message: 'Mã chấm công đã được gán cho nhân viên khác' });
+      }
+    }
+    if (updateData.remoteDaysPerMonth !== undefined) {
+      updateData.remoteDaysPerMonth = updateData.remoteDaysPerMonth === null || updateData.remoteDaysPerMonth === ''
+        ? undefined
+        : Number(updateData.remoteDaysPerMonth);
+    }
+    if (updateData.overtimeRate !== undefined) {
+      updateData.overtimeRate = updateData.overtimeRate === null || updateData.overtimeRate === ''
+        ? undefined
+        : Number(updateData.overtimeRate);
+    }
+
     // Chuyển đổi các trường ngày tháng
     if (updateData.dateOfBirth) {
       updateData.dateOfBirth = new Date(updateData.dateOfBirth);
@@ -0,0 +1,315 @@
+const express = require('express');
+const router = express.Router();
+const { auth, isAdmin } = require('../middleware/auth');
+const Holiday = require('../models/Holiday');
+const activityLogger = require('../middleware/activityLogger');
+const { startOfDay, getDateParts, dateInZone } = require('../utils/date');
+
+// Các ngày lễ dương lịch cố định theo Bộ luật Lao động
+const RECURRING_HOLIDAYS = [
+  { name: 'Tết Dương lịch', month: 1, day: 1 },
+  { name: 'Ngày Giải phóng miền Nam', month: 4, day: 30 },
+  { name: 'Ngày Quốc tế Lao động', month: 5, day: 1 },
+  { name: 'Quốc khánh', month: 9, day: 2 }
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Holiday:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Tên ngày lễ
+ *         date:
+ *           type: string
+ *           format: date
+ *         isRecurring:
+ *           type: boolean
+ *           description: Lặp lại hằng năm theo dương lịch
+ *         description:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/holidays:
+ *   get:
+ *     summary: Lấy danh sách ngày lễ trong năm
+ *     tags: [Holidays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Năm cần xem (mặc định năm hiện tại)
+ *     responses:
+ *       200:
+ *         description: Danh sách ngày lễ, các ngày lễ lặp lại đã được tính cho năm được chọn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 year:
+ *                   type: integer
+ *                 workingDays:
+ *                   type: integer
+ *                   description: Số ngày làm việc trong năm
+ *                 holidays:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Holiday'
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || getDateParts(new Date()).year;
+    const startDate = dateInZone(year, 1, 1);
+    const endDate = dateInZone(year, 12, 31);
+
+    const [holidays, workingDays] = await Promise.all([
+      Holiday.findInRange(startDate, endDate),
+      Holiday.countWorkingDays(startDate, endDate)
+    ]);
+
+    res.json({ year, workingDays, holidays });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/holidays:
+ *   post:
+ *     summary: Thêm ngày lễ (chỉ admin)
+ *     tags: [Holidays]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - date
+ *             properties:
+ *               name:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               isRecurring:
+ *                 type: boolean
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Thêm ngày lễ thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Holiday'
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc ngày lễ đã tồn tại
+ */
+router.post('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const { name, date, isRecurring, description } = req.body;
+    if (!name || !date || isNaN(new Date(date))) {
+      return res.status(400).json({ message: 'Tên và ngày lễ là bắt buộc' });
+    }
+
+    const holidayDate = startOfDay(date);
+    const existingHoliday = await Holiday.findDuplicate(holidayDate, { isRecurring: Boolean(isRecurring) });
+    if (existingHoliday) {
+      return res.status(400).json({ message: 'Ngày lễ đã tồn tại' });
+    }
+
+    const holiday = new Holiday({
+      name,
+      date: holidayDate,
+      isRecurring: Boolean(isRecurring),
+      description
+    });
+    await holiday.save();
+
+    req.body._id = holiday._id;
+    await activityLogger('create', 'holiday')(req, res);
+
+    res.status(201).json(holiday);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/holidays/seed-defaults:
+ *   post:
+ *     summary: Tạo các ngày lễ dương lịch cố định của Việt Nam (chỉ admin)
+ *     description: Tạo Tết Dương lịch, 30/4, 1/5 và 2/9 dạng lặp lại hằng năm nếu chưa có. Tết Nguyên đán, Giỗ Tổ Hùng Vương và ngày nghỉ liền kề Quốc khánh cần nhập riêng cho từng năm.
+ *     tags: [Holidays]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách ngày lễ đã được tạo
+ */
+router.post('/seed-defaults', [auth, isAdmin], async (req, res) => {
+  try {
+    const currentYear = getDateParts(new Date()).year;
+    const created = [];
+    for (const item of RECURRING_HOLIDAYS) {
+      const date = dateInZone(currentYear, item.month, item.day);
+      if (await Holiday.findDuplicate(date, { isRecurring: true })) continue;
+
+      const holiday = new Holiday({
+        name: item.name,
+        date,
+        isRecurring: true
+      });
+      await holiday.save();
+      created.push(holiday);
+
+      req.entityId = holiday._id;
+      req.changes = { name: holiday.name, date: holiday.date, isRecurring: true };
+      await activityLogger('create', 'holiday')(req, res);
+    }
+
+    res.json({
+      message: `Đã tạo ${created.length} ngày lễ`,
+      holidays: created
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/holidays/{id}:
+ *   put:
+ *     summary: Cập nhật ngày lễ (chỉ admin)
+ *     tags: [Holidays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               isRecurring:
+ *                 type: boolean
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Holiday'
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc ngày lễ đã tồn tại
+ *       404:
+ *         description: Không tìm thấy ngày lễ
+ */
+router.put('/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const { name, date, isRecurring, description } = req.body;
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ message: 'Không tìm thấy ngày lễ' });
+    }
+
+    req.originalBody = holiday.toObject();
+
+    if (name !== undefined) holiday.name = name;
+    if (date !== undefined) {
+      if (isNaN(new Date(date))) {
+        return res.status(400).json({ message: 'Ngày lễ không hợp lệ' });
+      }
+      holiday.date = startOfDay(date);
+    }
+    if (isRecurring !== undefined) holiday.isRecurring = Boolean(isRecurring);
+    if (description !== undefined) holiday.description = description;
+
+    if (date !== undefined || isRecurring !== undefined) {
+      const existingHoliday = await Holiday.findDuplicate(holiday.date, {
+        isRecurring: holiday.isRecurring,
+        excludeId: holiday._id
+      });
+      if (existingHoliday) {
+        return res.status(400).json({ message: 'Ngày lễ đã tồn tại' });
+      }
+    }
+
+    await holiday.save();
+    await activityLogger('update', 'holiday')(req, res);
+
+    res.json(holiday);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/holidays/{id}:
+ *   delete:
+ *     summary: Xóa ngày lễ (chỉ admin)
+ *     tags: [Holidays]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Xóa thành công
+ *       404:
+ *         description: Không tìm thấy ngày lễ
+ */
+router.delete('/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const holiday = await Holiday.findById(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({ message: 'Không tìm thấy ngày lễ' });
+    }
+
+    req.originalBody = holiday.toObject();
+    await Holiday.findByIdAndDelete(req.params.id);
+    await activityLogger('delete', 'holiday')(req, res);
+
+    res.json({ message: 'Đã xóa ngày lễ thành công' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
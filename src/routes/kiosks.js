@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, isAdmin, kioskAuth } = require('../middleware/auth');
+const KioskDevice = require('../models/KioskDevice');
+const OfficeLocation = require('../models/OfficeLocation');
+const activityLogger = require('../middleware/activityLogger');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     KioskDevice:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Tên thiết bị, ví dụ "Kiosk lễ tân tầng 1"
+ *         officeLocationId:
+ *           type: string
+ *           description: Địa điểm văn phòng đặt thiết bị
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: Lần cuối thiết bị lấy mã QR
+ *         isActive:
+ *           type: boolean
+ *     KioskRegistration:
+ *       type: object
+ *       properties:
+ *         kiosk:
+ *           $ref: '#/components/schemas/KioskDevice'
+ *         deviceKey:
+ *           type: string
+ *           description: Khóa thiết bị, chỉ hiển thị một lần. Cấu hình trên kiosk để gửi trong header X-Kiosk-Key.
+ */
+
+// Kiểm tra địa điểm văn phòng gán cho kiosk có tồn tại không
+const validateLocation = async (officeLocationId) => {
+  if (!officeLocationId) return true;
+  if (!mongoose.Types.ObjectId.isValid(officeLocationId)) return false;
+  return OfficeLocation.exists({ _id: officeLocationId, isActive: true });
+};
+
+/**
+ * @swagger
+ * /api/kiosks:
+ *   get:
+ *     summary: Lấy danh sách kiosk chấm công (chỉ admin)
+ *     tags: [Kiosks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách kiosk
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/KioskDevice'
+ */
+router.get('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const kiosks = await KioskDevice.find({ isActive: true })
+      .populate('officeLocationId', 'name')
+      .sort({ name: 1 });
+    res.json(kiosks);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/kiosks:
+ *   post:
+ *     summary: Đăng ký kiosk chấm công (chỉ admin)
+ *     tags: [Kiosks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               officeLocationId:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Đăng ký thành công, trả về khóa thiết bị
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/KioskRegistration'
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ */
+router.post('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const { name, officeLocationId } = req.body;
+    if (!name) {
+      return res.status(400).json({ message: 'Tên kiosk là bắt buộc' });
+    }
+
+    const existingKiosk = await KioskDevice.findOne({ name });
+    if (existingKiosk) {
+      return res.status(400).json({ message: 'Tên kiosk đã tồn tại' });
+    }
+
+    if (!(await validateLocation(officeLocationId))) {
+      return res.status(400).json({ message: 'Địa điểm văn phòng không tồn tại' });
+    }
+
+    const kiosk = new KioskDevice({ name, officeLocationId });
+    const deviceKey = kiosk.generateKey();
+    await kiosk.save();
+
+    req.body._id = kiosk._id;
+    await activityLogger('create', 'kiosk')(req, res);
+
+    const { keyHash, ...kioskData } = kiosk.toObject();
+    res.status(201).json({ kiosk: kioskData, deviceKey });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Tên kiosk đã tồn tại' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/kiosks/token:
+ *   get:
+ *     summary: Lấy mã QR chấm công ngắn hạn (dành cho thiết bị kiosk)
+ *     description: Kiosk gọi định kỳ để làm mới mã QR hiển thị trên màn hình. Nhân viên quét mã và gửi kèm kioskToken khi check-in/check-out. Mỗi mã chỉ dùng được cho một lần chấm công, kiosk cần lấy mã mới sau mỗi lần quét.
+ *     tags: [Kiosks]
+ *     security:
+ *       - kioskKey: []
+ *     responses:
+ *       200:
+ *         description: Mã QR hiện tại
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expiresAt:
+ *                   type: string
+ *                   format: date-time
+ *       401:
+ *         description: Khóa thiết bị không hợp lệ
+ *       500:
+ *         description: Chưa cấu hình KIOSK_TOKEN_SECRET
+ */
+router.get('/token', kioskAuth, async (req, res) => {
+  try {
+    // Không cache mã QR vì mã thay đổi liên tục
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(req.kiosk.issueToken());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/kiosks/{id}/rotate-key:
+ *   post:
+ *     summary: Cấp lại khóa thiết bị kiosk (chỉ admin)
+ *     description: Khóa cũ mất hiệu lực ngay lập tức.
+ *     tags: [Kiosks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Khóa thiết bị mới
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/KioskRegistration'
+ *       404:
+ *         description: Không tìm thấy kiosk
+ */
+router.post('/:id/rotate-key', [auth, isAdmin], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Không tìm thấy kiosk' });
+    }
+
+    const kiosk = await KioskDevice.findOne({ _id: req.params.id, isActive: true });
+    if (!kiosk) {
+      return res.status(404).json({ message: 'Không tìm thấy kiosk' });
+    }
+
+    const deviceKey = kiosk.generateKey();
+    await kiosk.save();
+
+    await activityLogger('update', 'kiosk')(req, res);
+
+    const { keyHash, ...kioskData } = kiosk.toObject();
+    res.json({ kiosk: kioskData, deviceKey });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/kiosks/{id}:
+ *   delete:
+ *     summary: Thu hồi kiosk chấm công (chỉ admin)
+ *     description: Kiosk bị thu hồi không lấy được mã QR mới, các mã đã phát cũng không còn hợp lệ.
+ *     tags: [Kiosks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Thu hồi kiosk thành công
+ *       404:
+ *         description: Không tìm thấy kiosk
+ */
+router.delete('/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Không tìm thấy kiosk' });
+    }
+
+    const kiosk = await KioskDevice.findById(req.params.id);
+    if (!kiosk) {
+      return res.status(404).json({ message: 'Không tìm thấy kiosk' });
+    }
+
+    req.originalBody = kiosk.toObject();
+
+    // Soft delete để giữ liên kết với các lượt chấm công đã quét mã từ kiosk
+    kiosk.isActive = false;
+    await kiosk.save();
+
+    await activityLogger('delete', 'kiosk')(req, res);
+
+    res.json({ message: 'Đã thu hồi kiosk thành công' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,733 @@
+const express = require('express');
+const router = express.Router();
+const { auth, isAdmin } = require('../middleware/auth');
+const Leave = require('../models/Leave');
+const LeaveBalance = require('../models/LeaveBalance');
+const Attendance = require('../models/Attendance');
+const Employee = require('../models/Employee');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const { leave: leavePolicy } = require('../config/policy');
+const { startOfDay, getDateParts, dateInZone } = require('../utils/date');
+const { createRequestWorkflow } = require('../utils/requestWorkflow');
+
+const LEAVE_TYPES = ['annual', 'sick', 'compensatory', 'unpaid', 'other'];
+
+// Kiểm tra số dư của từng năm có ngày nghỉ, trả về năm đầu tiên không đủ số dư (hoặc null)
+const findInsufficientBalance = async (employee, type, yearDays, options) => {
+  for (const { year, days } of yearDays) {
+    const balance = await LeaveBalance.getSummary(employee, year, type, options);
+    if (days > balance.available) return { requestedDays: days, balance };
+  }
+  return null;
+};
+
+// Cộng/trừ số ngày đã sử dụng vào số dư của từng năm có ngày nghỉ (sign = -1 khi hoàn lại)
+const consumeBalances = async (leave, employee, timeZone, sign = 1) => {
+  for (const { year, days } of leave.getYearDays(timeZone)) {
+    await LeaveBalance.consume(employee, year, leave.type, sign * days);
+  }
+};
+
+const leaveWorkflow = createRequestWorkflow({
+  Model: Leave,
+  entityType: 'leave',
+  name: 'nghỉ phép',
+  responseKey: 'leave',
+  // Số dư có thể đã thay đổi kể từ khi nhân viên gửi đơn
+  validateApproval: async (leave, employee, timeZone) => {
+    if (!LeaveBalance.isTracked(leave.type)) return null;
+    const insufficient = await findInsufficientBalance(employee, leave.type, leave.getYearDays(timeZone), {
+      excludeLeaveId: leave._id
+    });
+    if (!insufficient) return null;
+    return {
+      message: 'Số ngày nghỉ vượt quá số dư còn lại của nhân viên',
+      ...insufficient
+    };
+  },
+  // Trừ số dư và sinh bản ghi chấm công trạng thái nghỉ phép cho các ngày nghỉ
+  apply: async (leave, employee, timeZone) => {
+    if (LeaveBalance.isTracked(leave.type)) {
+      await consumeBalances(leave, employee, timeZone);
+    }
+    await Attendance.createForLeave(leave);
+  },
+  // Hoàn lại số dư và khôi phục chấm công khi thu hồi hoặc hủy đơn đã duyệt
+  revert: async (leave, employee, timeZone) => {
+    if (LeaveBalance.isTracked(leave.type)) {
+      await consumeBalances(leave, employee, timeZone, -1);
+    }
+    await Attendance.removeForLeave(leave);
+  }
+});
+
+/**
+ * @swagger
+ * tags:
+ *   name: Leave
+ *   description: API quản lý đơn nghỉ phép
+ */
+
+/**
+ * @swagger
+ * /api/attendance/leave:
+ *   post:
+ *     summary: Gửi đơn xin nghỉ phép
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *               - type
+ *               - reason
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               type:
+ *                 type: string
+ *                 enum: [annual, sick, compensatory, unpaid, other]
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Gửi đơn xin nghỉ thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leave'
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc trùng với đơn nghỉ khác
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { startDate, endDate, type, reason } = req.body;
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const errors = [];
+    if (!startDate) errors.push('Ngày bắt đầu là bắt buộc');
+    if (!endDate) errors.push('Ngày kết thúc là bắt buộc');
+    if (!LEAVE_TYPES.includes(type)) errors.push('Loại nghỉ phép không hợp lệ');
+    if (!reason) errors.push('Lý do là bắt buộc');
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Dữ liệu không hợp lệ',
+        errors
+      });
+    }
+
+    if (isNaN(new Date(startDate)) || isNaN(new Date(endDate))) {
+      return res.status(400).json({ message: 'Khoảng thời gian nghỉ không hợp lệ' });
+    }
+
+    // Ngày nghỉ tính theo lịch của múi giờ nhân viên
+    const timeZone = await employee.resolveTimezone();
+    const start = startOfDay(startDate, timeZone);
+    const end = startOfDay(endDate, timeZone);
+    if (end < start) {
+      return res.status(400).json({ message: 'Khoảng thời gian nghỉ không hợp lệ' });
+    }
+
+    const lockedPeriod = await AttendancePeriod.findLocked(start, end, timeZone);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    const workingDays = await employee.getWorkingDays(start, end, { timeZone });
+    const days = workingDays.length;
+    if (days === 0) {
+      return res.status(400).json({ message: 'Khoảng thời gian nghỉ không có ngày làm việc' });
+    }
+
+    // Không cho phép trùng với đơn đang chờ duyệt hoặc đã duyệt
+    const overlapping = await Leave.findOne({
+      employeeId: employee._id,
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        message: 'Khoảng thời gian nghỉ trùng với đơn nghỉ phép khác',
+        leave: overlapping
+      });
+    }
+
+    // Kiểm tra số dư ngày nghỉ của từng năm (đơn có thể kéo dài qua năm mới)
+    const yearDays = Leave.splitDaysByYear(workingDays, timeZone);
+    let balance;
+    if (LeaveBalance.isTracked(type)) {
+      const insufficient = await findInsufficientBalance(employee, type, yearDays);
+      if (insufficient) {
+        return res.status(400).json({
+          message: 'Số ngày nghỉ vượt quá số dư còn lại',
+          ...insufficient
+        });
+      }
+      balance = await LeaveBalance.getSummary(employee, yearDays[0].year, type);
+    }
+
+    const leave = new Leave({
+      employeeId: employee._id,
+      startDate: start,
+      endDate: end,
+      type,
+      days,
+      yearDays,
+      reason
+    });
+
+    await leave.save();
+
+    res.status(201).json({
+      message: 'Đã gửi đơn xin nghỉ phép',
+      leave,
+      balance
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/leave/me:
+ *   get:
+ *     summary: Lấy danh sách đơn nghỉ phép của nhân viên hiện tại
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Lọc theo năm của ngày bắt đầu nghỉ
+ *     responses:
+ *       200:
+ *         description: Danh sách đơn nghỉ phép
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Leave'
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const { status, year } = req.query;
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const query = { employeeId: employee._id };
+    if (status) query.status = status;
+    if (year) {
+      const timeZone = await employee.resolveTimezone();
+      query.startDate = {
+        $gte: dateInZone(Number(year), 1, 1, timeZone),
+        $lt: dateInZone(Number(year) + 1, 1, 1, timeZone)
+      };
+    }
+
+    const leaves = await Leave.find(query)
+      .populate('approvedBy', 'email')
+      .sort({ startDate: -1 });
+
+    res.json(leaves);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/leave:
+ *   get:
+ *     summary: Lấy danh sách đơn nghỉ phép của tất cả nhân viên (chỉ admin)
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [annual, sick, compensatory, unpaid, other]
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: ID phòng ban
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Lấy các đơn nghỉ kết thúc từ ngày này
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Lấy các đơn nghỉ bắt đầu đến ngày này
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Danh sách đơn nghỉ phép
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 leaves:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Leave'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ */
+router.get('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const {
+      status,
+      type,
+      employeeId,
+      department,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    if (employeeId) {
+      query.employeeId = employeeId;
+    } else if (department) {
+      const employees = await Employee.find({ department }).select('_id');
+      query.employeeId = { $in: employees.map(emp => emp._id) };
+    }
+
+    // Lấy các đơn nghỉ giao với khoảng thời gian cần xem
+    if (startDate) query.endDate = { $gte: startOfDay(startDate) };
+    if (endDate) query.startDate = { $lte: startOfDay(endDate) };
+
+    const [leaves, total] = await Promise.all([
+      Leave.find(query)
+        .populate('employeeId', 'fullName department')
+        .populate('approvedBy', 'email')
+        .sort({ startDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      Leave.countDocuments(query)
+    ]);
+
+    res.json({
+      leaves,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/leave/balance:
+ *   get:
+ *     summary: Xem số dư ngày nghỉ của nhân viên hiện tại
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Năm cần xem (mặc định năm hiện tại)
+ *     responses:
+ *       200:
+ *         description: Số dư ngày nghỉ theo từng loại
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 year:
+ *                   type: integer
+ *                 balances:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LeaveBalance'
+ */
+router.get('/balance', auth, async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || getDateParts(new Date()).year;
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const balances = await Promise.all(
+      Object.keys(leavePolicy.entitlements).map(type => LeaveBalance.getSummary(employee, year, type))
+    );
+
+    res.json({ year, balances });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/leave/balance/all:
+ *   get:
+ *     summary: Xem số dư ngày nghỉ của tất cả nhân viên (chỉ admin)
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Năm cần xem (mặc định năm hiện tại)
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: ID phòng ban (không bắt buộc)
+ *     responses:
+ *       200:
+ *         description: Số dư ngày nghỉ của từng nhân viên
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 year:
+ *                   type: integer
+ *                 employees:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       employee:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           fullName:
+ *                             type: string
+ *                           department:
+ *                             type: string
+ *                       balances:
+ *                         type: array
+ *                         items:
+ *                           $ref: '#/components/schemas/LeaveBalance'
+ */
+router.get('/balance/all', [auth, isAdmin], async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || getDateParts(new Date()).year;
+    const query = {};
+    if (req.query.department) query.department = req.query.department;
+
+    const employees = await Employee.find(query).select('fullName department startDate timezone').sort({ fullName: 1 });
+
+    const result = [];
+    for (const employee of employees) {
+      const balances = await Promise.all(
+        Object.keys(leavePolicy.entitlements).map(type => LeaveBalance.getSummary(employee, year, type))
+      );
+      result.push({
+        employee: {
+          _id: employee._id,
+          fullName: employee.fullName,
+          department: employee.department
+        },
+        balances
+      });
+    }
+
+    res.json({ year, employees: result });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/leave/balance/{employeeId}:
+ *   put:
+ *     summary: Điều chỉnh số ngày nghỉ được hưởng của nhân viên (chỉ admin)
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: employeeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - year
+ *               - type
+ *             properties:
+ *               year:
+ *                 type: integer
+ *               type:
+ *                 type: string
+ *                 enum: [annual, sick, compensatory]
+ *               entitlement:
+ *                 type: number
+ *                 description: Số ngày được hưởng cả năm
+ *               adjustment:
+ *                 type: number
+ *                 description: Số ngày cộng/trừ thủ công
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Cập nhật số dư thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/LeaveBalance'
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ *       404:
+ *         description: Không tìm thấy nhân viên
+ */
+router.put('/balance/:employeeId', [auth, isAdmin], async (req, res) => {
+  try {
+    const { year, type, entitlement, adjustment, note } = req.body;
+    if (!year || !LeaveBalance.isTracked(type)) {
+      return res.status(400).json({ message: 'Năm hoặc loại nghỉ phép không hợp lệ' });
+    }
+    if ((entitlement !== undefined && isNaN(entitlement)) || (adjustment !== undefined && isNaN(adjustment))) {
+      return res.status(400).json({ message: 'Số ngày không hợp lệ' });
+    }
+
+    const employee = await Employee.findById(req.params.employeeId);
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const balance = await LeaveBalance.findOrCreate(employee, Number(year), type);
+    if (entitlement !== undefined) balance.entitlement = Number(entitlement);
+    if (adjustment !== undefined) balance.adjustment = Number(adjustment);
+    if (note !== undefined) balance.note = note;
+    await balance.save();
+
+    res.json({
+      message: 'Đã cập nhật số dư ngày nghỉ',
+      balance: await LeaveBalance.getSummary(employee, Number(year), type)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/leave/{id}:
+ *   get:
+ *     summary: Lấy chi tiết một đơn nghỉ phép
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chi tiết đơn nghỉ phép
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leave'
+ *       403:
+ *         description: Không có quyền xem đơn này
+ *       404:
+ *         description: Không tìm thấy đơn nghỉ phép
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const leave = await Leave.findById(req.params.id)
+      .populate('employeeId', 'fullName department userId')
+      .populate('approvedBy', 'email');
+
+    if (!leave) {
+      return res.status(404).json({ message: 'Không tìm thấy đơn nghỉ phép' });
+    }
+
+    if (req.user.role !== 'admin' && leave.employeeId.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: 'Không có quyền xem đơn này' });
+    }
+
+    res.json(leave);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/leave/approve/{id}:
+ *   put:
+ *     summary: Phê duyệt đơn nghỉ phép (chỉ admin)
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Phê duyệt thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leave'
+ *       400:
+ *         description: Đơn không ở trạng thái chờ duyệt
+ *       404:
+ *         description: Không tìm thấy đơn nghỉ phép
+ */
+router.put('/approve/:id', [auth, isAdmin], leaveWorkflow.approve);
+
+/**
+ * @swagger
+ * /api/attendance/leave/reject/{id}:
+ *   put:
+ *     summary: Từ chối hoặc thu hồi đơn nghỉ phép đã duyệt (chỉ admin)
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Lý do từ chối
+ *     responses:
+ *       200:
+ *         description: Từ chối thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leave'
+ *       400:
+ *         description: Thiếu lý do hoặc đơn đã bị từ chối/hủy
+ *       404:
+ *         description: Không tìm thấy đơn nghỉ phép
+ */
+router.put('/reject/:id', [auth, isAdmin], leaveWorkflow.reject);
+
+/**
+ * @swagger
+ * /api/attendance/leave/cancel/{id}:
+ *   put:
+ *     summary: Nhân viên hủy đơn nghỉ phép trước ngày bắt đầu nghỉ
+ *     tags: [Leave]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hủy đơn thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Leave'
+ *       400:
+ *         description: Đơn đã bắt đầu, không thể hủy hoặc thuộc kỳ chấm công đã khóa
+ *       403:
+ *         description: Không phải đơn của nhân viên hiện tại
+ *       404:
+ *         description: Không tìm thấy đơn nghỉ phép
+ */
+router.put('/cancel/:id', auth, leaveWorkflow.cancel);
+
+module.exports = router;
@@ -0,0 +1,284 @@
+const express = require('express');
+const router = express.Router();
+const { auth, isAdmin } = require('../middleware/auth');
+const OfficeLocation = require('../models/OfficeLocation');
+const Department = require('../models/Department');
+const Employee = require('../models/Employee');
+const activityLogger = require('../middleware/activityLogger');
+
+const LOCATION_FIELDS = ['name', 'address', 'latitude', 'longitude', 'radiusMeters', 'allowedNetworks', 'departments', 'isActive'];
+
+// Kiểm tra các phòng ban được gán cho địa điểm có tồn tại không
+const validateDepartments = async (departments) => {
+  if (!departments || departments.length === 0) return true;
+  const count = await Department.countDocuments({ _id: { $in: departments } });
+  return count === new Set(departments.map(String)).size;
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OfficeLocation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Tên văn phòng/chi nhánh
+ *         address:
+ *           type: string
+ *         latitude:
+ *           type: number
+ *           example: 21.0285
+ *         longitude:
+ *           type: number
+ *           example: 105.8542
+ *         radiusMeters:
+ *           type: number
+ *           description: Bán kính cho phép chấm công (mét)
+ *         allowedNetworks:
+ *           type: array
+ *           items:
+ *             type: string
+ *             example: 203.0.113.0/24
+ *           description: Dải IP (CIDR) của mạng văn phòng, dùng cho chấm công không có GPS
+ *         departments:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Các phòng ban áp dụng, để trống nếu áp dụng cho tất cả
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/locations:
+ *   get:
+ *     summary: Lấy danh sách địa điểm văn phòng (chỉ admin)
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách địa điểm văn phòng
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OfficeLocation'
+ */
+router.get('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const locations = await OfficeLocation.find({ isActive: true })
+      .populate('departments', 'name')
+      .sort({ name: 1 });
+    res.json(locations);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/locations/me:
+ *   get:
+ *     summary: Lấy các địa điểm nhân viên hiện tại được phép chấm công
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách địa điểm, rỗng nếu không giới hạn vị trí chấm công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OfficeLocation'
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const locations = await OfficeLocation.findForEmployee(employee)
+      .select('name address latitude longitude radiusMeters');
+    res.json(locations);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/locations:
+ *   post:
+ *     summary: Thêm địa điểm văn phòng (chỉ admin)
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OfficeLocation'
+ *     responses:
+ *       201:
+ *         description: Thêm địa điểm thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OfficeLocation'
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ */
+router.post('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const data = {};
+    LOCATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    const hasCoordinates = data.latitude !== undefined && data.longitude !== undefined;
+    if (!data.name || (!hasCoordinates && !data.allowedNetworks?.length)) {
+      return res.status(400).json({ message: 'Tên và tọa độ hoặc dải mạng của địa điểm là bắt buộc' });
+    }
+
+    const existingLocation = data.isActive !== false && await OfficeLocation.findOne({ name: data.name, isActive: true });
+    if (existingLocation) {
+      return res.status(400).json({ message: 'Tên địa điểm đã tồn tại' });
+    }
+
+    if (!(await validateDepartments(data.departments))) {
+      return res.status(400).json({ message: 'Phòng ban không tồn tại' });
+    }
+
+    const location = new OfficeLocation(data);
+    await location.save();
+
+    req.body._id = location._id;
+    await activityLogger('create', 'location')(req, res);
+
+    res.status(201).json(location);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   put:
+ *     summary: Cập nhật địa điểm văn phòng (chỉ admin)
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OfficeLocation'
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OfficeLocation'
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc tên trùng với địa điểm đang hoạt động khác
+ *       404:
+ *         description: Không tìm thấy địa điểm
+ */
+router.put('/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const location = await OfficeLocation.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ message: 'Không tìm thấy địa điểm' });
+    }
+
+    // Đổi tên hoặc kích hoạt lại không được trùng tên với địa điểm đang hoạt động khác
+    const name = req.body.name || location.name;
+    const isActive = req.body.isActive ?? location.isActive;
+    if (isActive) {
+      const existingLocation = await OfficeLocation.findOne({ _id: { $ne: location._id }, name, isActive: true });
+      if (existingLocation) {
+        return res.status(400).json({ message: 'Tên địa điểm đã tồn tại' });
+      }
+    }
+
+    if (!(await validateDepartments(req.body.departments))) {
+      return res.status(400).json({ message: 'Phòng ban không tồn tại' });
+    }
+
+    req.originalBody = location.toObject();
+
+    LOCATION_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) location[field] = req.body[field];
+    });
+    await location.save();
+
+    await activityLogger('update', 'location')(req, res);
+
+    res.json(location);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/locations/{id}:
+ *   delete:
+ *     summary: Ngừng sử dụng địa điểm văn phòng (chỉ admin)
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Xóa địa điểm thành công
+ *       404:
+ *         description: Không tìm thấy địa điểm
+ */
+router.delete('/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const location = await OfficeLocation.findById(req.params.id);
+    if (!location) {
+      return res.status(404).json({ message: 'Không tìm thấy địa điểm' });
+    }
+
+    req.originalBody = location.toObject();
+
+    // Soft delete để giữ liên kết với vị trí đã lưu trong các bản ghi chấm công
+    location.isActive = false;
+    await location.save();
+
+    await activityLogger('delete', 'location')(req, res);
+
+    res.json({ message: 'Đã xóa địa điểm thành công' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
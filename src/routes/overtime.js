@@ -1,8 +1,22 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const { auth, isAdmin } = require('../middleware/auth');
 const OvertimeRequest = require('../models/OvertimeRequest');
 const Employee = require('../models/Employee');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const activityLogger = require('../middleware/activityLogger');
+const { overtime: overtimePolicy } = require('../config/policy');
+const { defaultTimeZone, startOfDay, addDays, getDateParts, getMonthRange } = require('../utils/date');
+
+// Hình thức bù giờ làm thêm: trả lương hoặc cộng vào số dư nghỉ bù
+const COMPENSATIONS = ['pay', 'toil'];
+
+// Thay đổi trạng thái yêu cầu đã duyệt làm thay đổi giờ làm thêm của ngày đó,
+// nên không được phép khi kỳ chấm công đã khóa
+const findLockedPeriod = async (request, employee) =>
+  AttendancePeriod.findLocked(request.date, request.date, await employee.resolveTimezone());
+
 /**
  * @swagger
  * tags:
@@ -10,6 +24,85 @@ const Employee = require('../models/Employee');
  *   description: API quản lý làm thêm giờ
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OvertimeRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         employeeId:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         requestedHours:
+ *           type: number
+ *         reason:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *         approvedBy:
+ *           type: string
+ *           description: Admin đã duyệt hoặc từ chối yêu cầu
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *         decisionReason:
+ *           type: string
+ *           description: Ghi chú khi duyệt hoặc lý do từ chối
+ *         compensation:
+ *           type: string
+ *           enum: [pay, toil]
+ *           description: Trả lương làm thêm hoặc cộng giờ làm thêm vào số dư nghỉ bù
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *         planId:
+ *           type: string
+ *           description: Kế hoạch làm thêm giờ theo nhóm đã tạo ra yêu cầu
+ *         acceptance:
+ *           type: string
+ *           enum: [pending, accepted, declined]
+ *           description: Nhân viên đồng ý hay từ chối làm thêm theo kế hoạch
+ *         respondedAt:
+ *           type: string
+ *           format: date-time
+ *     OvertimeCapUsage:
+ *       type: object
+ *       properties:
+ *         approved:
+ *           type: number
+ *           description: Số giờ đã duyệt
+ *         pending:
+ *           type: number
+ *           description: Số giờ đang chờ duyệt
+ *         total:
+ *           type: number
+ *         cap:
+ *           type: number
+ *           description: Giới hạn theo quy định
+ *         remaining:
+ *           type: number
+ *     OvertimeUsage:
+ *       type: object
+ *       properties:
+ *         employee:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *         monthly:
+ *           $ref: '#/components/schemas/OvertimeCapUsage'
+ *         yearly:
+ *           $ref: '#/components/schemas/OvertimeCapUsage'
+ */
+
 /**
  * @swagger
  * /api/overtime/request:
@@ -38,6 +131,11 @@ const Employee = require('../models/Employee');
  *               reason:
  *                 type: string
  *                 description: Lý do làm thêm giờ
+ *               compensation:
+ *                 type: string
+ *                 enum: [pay, toil]
+ *                 default: pay
+ *                 description: Nhận lương làm thêm hoặc nghỉ bù (giờ làm thêm được cộng vào số dư nghỉ bù khi check-out)
  *     responses:
  *       201:
  *         description: Tạo yêu cầu thành công
@@ -59,35 +157,41 @@ const Employee = require('../models/Employee');
  *                   type: string
  *                 status:
  *                   type: string
- *                   enum: [pending, approved, rejected]
+ *                   enum: [pending, approved, rejected, cancelled]
+ *                 warnings:
+ *                   type: array
+ *                   description: Các giới hạn giờ làm thêm bị vượt (khi chính sách chỉ cảnh báo)
+ *                   items:
+ *                     type: string
  *       400:
- *         description: Dữ liệu không hợp lệ
+ *         description: Dữ liệu không hợp lệ, kỳ chấm công đã khóa hoặc vượt giới hạn giờ làm thêm
  *       401:
  *         description: Không có quyền truy cập
  */
 router.post('/request', auth, async (req, res) => {
   try {
     const employee = await Employee.findOne({ userId: req.user._id });
-    const { date, requestedHours, reason } = req.body;
-
-    // Kiểm tra ngày hợp lệ
-    const requestDate = new Date(date);
-    if (requestDate < new Date()) {
-      return res.status(400).json({
-        message: 'Không thể tạo yêu cầu cho ngày trong quá khứ'
-      });
+    const { reason, compensation = 'pay' } = req.body;
+    if (!COMPENSATIONS.includes(compensation)) {
+      return res.status(400).json({ message: 'Hình thức bù giờ làm thêm không hợp lệ' });
+    }
+
+    const validated = await OvertimeRequest.validateNew(employee, req.body);
+    if (validated.error) {
+      return res.status(400).json(validated.error);
     }
 
     const overtimeRequest = new OvertimeRequest({
       employeeId: employee._id,
-      date: requestDate,
-      requestedHours,
-      reason
+      date: validated.date,
+      requestedHours: validated.requestedHours,
+      reason,
+      compensation
     });
 
     await overtimeRequest.save();
 
-    res.status(201).json(overtimeRequest);
+    res.status(201).json({ ...overtimeRequest.toJSON(), warnings: validated.warnings });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -98,6 +202,7 @@ router.post('/request', auth, async (req, res) => {
  * /api/overtime/approve/{id}:
  *   put:
  *     summary: Phê duyệt yêu cầu làm thêm giờ
+ *     description: Chỉ duyệt được yêu cầu đang chờ duyệt. Giờ làm thêm của bản ghi chấm công trong ngày (nếu có) được tính lại.
  *     tags: [Overtime]
  *     security:
  *       - bearerAuth: []
@@ -108,6 +213,19 @@ router.post('/request', auth, async (req, res) => {
  *         schema:
  *           type: string
  *         description: ID của yêu cầu làm thêm giờ
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: Ghi chú khi duyệt
+ *               compensation:
+ *                 type: string
+ *                 enum: [pay, toil]
+ *                 description: Đổi hình thức bù giờ làm thêm khi duyệt
  *     responses:
  *       200:
  *         description: Phê duyệt thành công
@@ -126,6 +244,10 @@ router.post('/request', auth, async (req, res) => {
  *                 approvedAt:
  *                   type: string
  *                   format: date-time
+ *                 decisionReason:
+ *                   type: string
+ *       400:
+ *         description: Yêu cầu không còn chờ duyệt, nhân viên chưa đồng ý làm thêm theo kế hoạch hoặc kỳ chấm công đã khóa
  *       404:
  *         description: Không tìm thấy yêu cầu
  *       401:
@@ -138,10 +260,38 @@ router.put('/approve/:id', [auth, isAdmin], async (req, res) => {
       return res.status(404).json({ message: 'Không tìm thấy yêu cầu' });
     }
 
+    if (!request.canTransitionTo('approved')) {
+      return res.status(400).json({ message: 'Chỉ có thể duyệt yêu cầu đang chờ duyệt' });
+    }
+
+    if (request.isAwaitingAcceptance()) {
+      return res.status(400).json({ message: 'Nhân viên chưa đồng ý làm thêm giờ theo kế hoạch' });
+    }
+
+    if (req.body.compensation !== undefined && !COMPENSATIONS.includes(req.body.compensation)) {
+      return res.status(400).json({ message: 'Hình thức bù giờ làm thêm không hợp lệ' });
+    }
+
+    const employee = await Employee.findById(request.employeeId);
+    const lockedPeriod = await findLockedPeriod(request, employee);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    req.originalBody = request.toObject();
+    const previousStatus = request.status;
+
     request.status = 'approved';
     request.approvedBy = req.user._id;
     request.approvedAt = new Date();
+    if (req.body.comment !== undefined) request.decisionReason = req.body.comment;
+    if (req.body.compensation !== undefined) request.compensation = req.body.compensation;
     await request.save();
+    await request.applyToAttendance(employee);
+
+    req.entityId = request._id;
+    req.changes = { status: { from: previousStatus, to: 'approved' } };
+    await activityLogger('update', 'overtime')(req, res);
 
     res.json(request);
   } catch (error) {
@@ -149,6 +299,299 @@ router.put('/approve/:id', [auth, isAdmin], async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/overtime/reject/{id}:
+ *   put:
+ *     summary: Từ chối hoặc thu hồi yêu cầu làm thêm giờ (chỉ admin)
+ *     description: Từ chối yêu cầu đang chờ duyệt hoặc thu hồi yêu cầu đã duyệt. Khi thu hồi, giờ làm thêm của bản ghi chấm công trong ngày được tính lại.
+ *     tags: [Overtime]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Lý do từ chối
+ *     responses:
+ *       200:
+ *         description: Đã từ chối yêu cầu
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OvertimeRequest'
+ *       400:
+ *         description: Thiếu lý do, yêu cầu không thể từ chối hoặc kỳ chấm công đã khóa
+ *       404:
+ *         description: Không tìm thấy yêu cầu
+ */
+router.put('/reject/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const { reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ message: 'Vui lòng nhập lý do từ chối' });
+    }
+
+    const request = await OvertimeRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Không tìm thấy yêu cầu' });
+    }
+
+    if (!request.canTransitionTo('rejected')) {
+      return res.status(400).json({ message: 'Chỉ có thể từ chối yêu cầu đang chờ duyệt hoặc đã duyệt' });
+    }
+
+    const employee = await Employee.findById(request.employeeId);
+    if (request.status === 'approved') {
+      const lockedPeriod = await findLockedPeriod(request, employee);
+      if (lockedPeriod) {
+        return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+      }
+    }
+
+    req.originalBody = request.toObject();
+    const previousStatus = request.status;
+
+    request.status = 'rejected';
+    request.approvedBy = req.user._id;
+    request.approvedAt = new Date();
+    request.decisionReason = reason;
+    await request.save();
+
+    if (previousStatus === 'approved') {
+      await request.applyToAttendance(employee);
+    }
+
+    req.entityId = request._id;
+    req.changes = { status: { from: previousStatus, to: 'rejected' } };
+    await activityLogger('update', 'overtime')(req, res);
+
+    res.json(request);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/overtime/cancel/{id}:
+ *   put:
+ *     summary: Nhân viên hủy yêu cầu làm thêm giờ của mình
+ *     description: Hủy được yêu cầu đang chờ duyệt, hoặc yêu cầu đã duyệt khi chưa đến ngày làm thêm.
+ *     tags: [Overtime]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Đã hủy yêu cầu
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OvertimeRequest'
+ *       400:
+ *         description: Yêu cầu không thể hủy
+ *       403:
+ *         description: Không phải yêu cầu của nhân viên
+ *       404:
+ *         description: Không tìm thấy yêu cầu
+ */
+router.put('/cancel/:id', auth, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id });
+    const request = await OvertimeRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Không tìm thấy yêu cầu' });
+    }
+
+    if (!employee || request.employeeId.toString() !== employee._id.toString()) {
+      return res.status(403).json({ message: 'Không có quyền hủy yêu cầu này' });
+    }
+
+    if (!request.canTransitionTo('cancelled')) {
+      return res.status(400).json({ message: 'Yêu cầu làm thêm giờ không thể hủy' });
+    }
+
+    const previousStatus = request.status;
+    if (previousStatus === 'approved') {
+      if (request.date <= startOfDay(new Date(), await employee.resolveTimezone())) {
+        return res.status(400).json({ message: 'Không thể hủy yêu cầu đã duyệt khi đã đến ngày làm thêm' });
+      }
+      const lockedPeriod = await findLockedPeriod(request, employee);
+      if (lockedPeriod) {
+        return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+      }
+    }
+
+    req.originalBody = request.toObject();
+
+    request.status = 'cancelled';
+    request.cancelledAt = new Date();
+    await request.save();
+
+    if (previousStatus === 'approved') {
+      await request.applyToAttendance(employee);
+    }
+
+    req.entityId = request._id;
+    req.changes = { status: { from: previousStatus, to: 'cancelled' } };
+    await activityLogger('update', 'overtime')(req, res);
+
+    res.json(request);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/overtime/usage:
+ *   get:
+ *     summary: Số giờ làm thêm đã dùng so với giới hạn tháng và năm
+ *     description: Nhân viên xem của mình. Admin xem của một nhân viên (employeeId) hoặc của tất cả nhân viên (có thể lọc theo phòng ban).
+ *     tags: [Overtime]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *         description: Mặc định năm hiện tại
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         description: Mặc định tháng hiện tại
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: string
+ *         description: Chỉ admin
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Lọc theo phòng ban khi admin xem tất cả nhân viên
+ *     responses:
+ *       200:
+ *         description: Số giờ làm thêm đã dùng. Admin không truyền employeeId nhận danh sách trong trường employees.
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 year:
+ *                   type: integer
+ *                 month:
+ *                   type: integer
+ *                 caps:
+ *                   type: object
+ *                   properties:
+ *                     dailyRatio:
+ *                       type: number
+ *                       description: Tỷ lệ giờ làm thêm tối đa trên giờ chuẩn của ca vào ngày làm việc
+ *                     nonWorkingDaily:
+ *                       type: number
+ *                     monthly:
+ *                       type: number
+ *                     yearly:
+ *                       type: number
+ *                 capMode:
+ *                   type: string
+ *                   enum: [block, warn]
+ *                 usage:
+ *                   $ref: '#/components/schemas/OvertimeUsage'
+ *                 employees:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OvertimeUsage'
+ *       400:
+ *         description: Năm hoặc tháng không hợp lệ
+ *       404:
+ *         description: Không tìm thấy nhân viên
+ */
+router.get('/usage', auth, async (req, res) => {
+  try {
+    const isAdmin = req.user.role === 'admin';
+    const listAll = isAdmin && !req.query.employeeId;
+    let employeeQuery = { userId: req.user._id };
+    if (listAll) {
+      employeeQuery = req.query.department ? { department: req.query.department } : {};
+    } else if (isAdmin) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.employeeId)) {
+        return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+      }
+      employeeQuery = { _id: req.query.employeeId };
+    }
+
+    const employees = await Employee.find(employeeQuery)
+      .select('fullName timezone department')
+      .populate('department', 'timezone')
+      .sort({ fullName: 1 });
+    if (employees.length === 0 && !listAll) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const now = getDateParts(new Date());
+    const year = req.query.year ? Number(req.query.year) : now.year;
+    const month = req.query.month ? Number(req.query.month) : now.month;
+    if (!Number.isInteger(year) || !Number.isInteger(month) || month < 1 || month > 12) {
+      return res.status(400).json({ message: 'Năm hoặc tháng không hợp lệ' });
+    }
+
+    // Lấy rộng thêm một ngày mỗi đầu năm để bao được mọi múi giờ, sau đó chia theo múi giờ từng nhân viên
+    const yearRange = {
+      $gte: addDays(getMonthRange(year, 1).startDate, -1),
+      $lte: addDays(getMonthRange(year, 12).endDate, 1)
+    };
+    const requests = await OvertimeRequest.find({
+      employeeId: { $in: employees.map(employee => employee._id) },
+      status: { $in: ['pending', 'approved'] },
+      date: yearRange
+    }).select('employeeId date requestedHours status').lean();
+
+    const result = employees.map(employee => ({
+      employee: { _id: employee._id, fullName: employee.fullName },
+      ...OvertimeRequest.buildUsage(
+        requests.filter(request => request.employeeId.toString() === employee._id.toString()),
+        { year, month, timeZone: employee.timezone || employee.department?.timezone || defaultTimeZone }
+      )
+    }));
+
+    const { caps, capMode } = overtimePolicy;
+    const response = { year, month, caps, capMode };
+    if (listAll) {
+      response.employees = result;
+    } else {
+      response.usage = result[0];
+    }
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 /**
  * @swagger
  * /api/overtime/requests:
@@ -162,7 +605,7 @@ router.put('/approve/:id', [auth, isAdmin], async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, approved, rejected]
+ *           enum: [pending, approved, rejected, cancelled]
  *         description: Lọc theo trạng thái (chỉ admin)
  *       - in: query
  *         name: startDate
@@ -199,7 +642,7 @@ router.put('/approve/:id', [auth, isAdmin], async (req, res) => {
  *                     type: string
  *                   status:
  *                     type: string
- *                     enum: [pending, approved, rejected]
+ *                     enum: [pending, approved, rejected, cancelled]
  *                   approvedBy:
  *                     type: string
  *                   approvedAt:
@@ -222,10 +665,10 @@ router.get('/requests', auth, async (req, res) => {
       if (startDate || endDate) {
         query.date = {};
         if (startDate) {
-          query.date.$gte = new Date(startDate);
+          query.date.$gte = startOfDay(startDate);
         }
         if (endDate) {
-          query.date.$lte = new Date(endDate);
+          query.date.$lte = startOfDay(endDate);
         }
       }
     } else {
@@ -284,7 +727,7 @@ router.get('/requests', auth, async (req, res) => {
  *                   type: string
  *                 status:
  *                   type: string
- *                   enum: [pending, approved, rejected]
+ *                   enum: [pending, approved, rejected, cancelled]
  *                 approvedBy:
  *                   type: string
  *                 approvedAt:
@@ -319,4 +762,94 @@ router.get('/requests/:id', auth, async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+/**
+ * @swagger
+ * /api/overtime/requests/{id}:
+ *   put:
+ *     summary: Nhân viên sửa yêu cầu làm thêm giờ đang chờ duyệt
+ *     description: Yêu cầu sau khi sửa được kiểm tra lại với giới hạn giờ làm thêm như khi tạo mới.
+ *     tags: [Overtime]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               requestedHours:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               compensation:
+ *                 type: string
+ *                 enum: [pay, toil]
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OvertimeRequest'
+ *       400:
+ *         description: Dữ liệu không hợp lệ, vượt giới hạn giờ làm thêm, yêu cầu thuộc kế hoạch hoặc không còn chờ duyệt
+ *       403:
+ *         description: Không phải yêu cầu của nhân viên
+ *       404:
+ *         description: Không tìm thấy yêu cầu
+ */
+router.put('/requests/:id', auth, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id });
+    const request = await OvertimeRequest.findById(req.params.id);
+    if (!request) {
+      return res.status(404).json({ message: 'Không tìm thấy yêu cầu' });
+    }
+
+    if (!employee || request.employeeId.toString() !== employee._id.toString()) {
+      return res.status(403).json({ message: 'Không có quyền sửa yêu cầu này' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: 'Chỉ có thể sửa yêu cầu đang chờ duyệt' });
+    }
+
+    if (request.planId) {
+      return res.status(400).json({ message: 'Yêu cầu thuộc kế hoạch làm thêm giờ không thể sửa' });
+    }
+
+    if (req.body.compensation !== undefined && !COMPENSATIONS.includes(req.body.compensation)) {
+      return res.status(400).json({ message: 'Hình thức bù giờ làm thêm không hợp lệ' });
+    }
+
+    const validated = await OvertimeRequest.validateNew(employee, {
+      date: req.body.date ?? request.date,
+      requestedHours: req.body.requestedHours ?? request.requestedHours
+    }, { excludeId: request._id });
+    if (validated.error) {
+      return res.status(400).json(validated.error);
+    }
+
+    request.date = validated.date;
+    request.requestedHours = validated.requestedHours;
+    if (req.body.reason !== undefined) request.reason = req.body.reason;
+    if (req.body.compensation !== undefined) request.compensation = req.body.compensation;
+    await request.save();
+
+    res.json({ ...request.toJSON(), warnings: validated.warnings });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
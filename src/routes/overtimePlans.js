@@ -0,0 +1,650 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, isAdmin } = require('../middleware/auth');
+const OvertimePlan = require('../models/OvertimePlan');
+const OvertimeRequest = require('../models/OvertimeRequest');
+const Employee = require('../models/Employee');
+const Department = require('../models/Department');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const activityLogger = require('../middleware/activityLogger');
+const { startOfDay, formatDate } = require('../utils/date');
+
+const COMPENSATIONS = ['pay', 'toil'];
+
+// Phòng ban người dùng được lập kế hoạch: admin không giới hạn (null), trưởng phòng chỉ các phòng mình quản lý
+const getManagedDepartments = async (user) => {
+  if (user.role === 'admin') return null;
+  const employee = await Employee.findOne({ userId: user._id }).select('_id');
+  if (!employee) return [];
+  return Department.find({ manager: employee._id }).distinct('_id');
+};
+
+const canManage = (managed, departmentId) =>
+  managed === null || managed.some(id => id.toString() === departmentId?.toString());
+
+// Người lập, admin hoặc trưởng phòng của phòng ban trong kế hoạch được xem kế hoạch
+const canView = (plan, user, managed) =>
+  managed === null || plan.createdBy.toString() === user._id.toString() ||
+  (plan.department && canManage(managed, plan.department));
+
+/**
+ * @swagger
+ * tags:
+ *   name: OvertimePlans
+ *   description: API kế hoạch làm thêm giờ theo nhóm
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OvertimePlan:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         title:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date
+ *         requestedHours:
+ *           type: number
+ *         reason:
+ *           type: string
+ *         compensation:
+ *           type: string
+ *           enum: [pay, toil]
+ *         department:
+ *           type: string
+ *         createdBy:
+ *           type: string
+ *         approvedBy:
+ *           type: string
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *     OvertimePlanSkipped:
+ *       type: object
+ *       properties:
+ *         employee:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             fullName:
+ *               type: string
+ *         message:
+ *           type: string
+ *         errors:
+ *           type: array
+ *           items:
+ *             type: string
+ */
+
+/**
+ * @swagger
+ * /api/overtime/plans:
+ *   post:
+ *     summary: Lập kế hoạch làm thêm giờ cho một phòng ban hoặc danh sách nhân viên
+ *     description: Admin lập cho bất kỳ nhân viên nào, trưởng phòng chỉ lập cho nhân viên thuộc phòng ban mình quản lý. Mỗi nhân viên nhận một yêu cầu làm thêm giờ chờ đồng ý. Nhân viên không hợp lệ (vượt giới hạn, đã có yêu cầu trong ngày...) được bỏ qua.
+ *     tags: [OvertimePlans]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - date
+ *               - requestedHours
+ *             properties:
+ *               title:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               requestedHours:
+ *                 type: number
+ *               reason:
+ *                 type: string
+ *               compensation:
+ *                 type: string
+ *                 enum: [pay, toil]
+ *                 default: pay
+ *                 description: Hình thức bù giờ mặc định, nhân viên có thể chọn lại khi đồng ý
+ *               department:
+ *                 type: string
+ *                 description: Lập cho toàn bộ nhân viên của phòng ban
+ *               employeeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Lập cho danh sách nhân viên (có thể kết hợp với department)
+ *     responses:
+ *       201:
+ *         description: Lập kế hoạch thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 plan:
+ *                   $ref: '#/components/schemas/OvertimePlan'
+ *                 requests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OvertimeRequest'
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OvertimePlanSkipped'
+ *       400:
+ *         description: Dữ liệu không hợp lệ hoặc không tạo được yêu cầu nào
+ *       403:
+ *         description: Không có quyền lập kế hoạch cho phòng ban hoặc nhân viên này
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { title, date, requestedHours, reason, compensation = 'pay', department, employeeIds = [] } = req.body;
+
+    const errors = [];
+    if (!title) errors.push('Tên kế hoạch là bắt buộc');
+    if (!date || isNaN(new Date(date))) errors.push('Ngày làm thêm không hợp lệ');
+    if (!COMPENSATIONS.includes(compensation)) errors.push('Hình thức bù giờ làm thêm không hợp lệ');
+    if (!Array.isArray(employeeIds)) errors.push('Danh sách nhân viên không hợp lệ');
+    else if (!department && employeeIds.length === 0) errors.push('Cần chọn phòng ban hoặc danh sách nhân viên');
+    if (department && !mongoose.Types.ObjectId.isValid(department)) errors.push('Phòng ban không hợp lệ');
+    if (Array.isArray(employeeIds) && employeeIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      errors.push('Mã nhân viên không hợp lệ');
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Dữ liệu không hợp lệ',
+        errors
+      });
+    }
+
+    const managed = await getManagedDepartments(req.user);
+    if (managed !== null && managed.length === 0) {
+      return res.status(403).json({ message: 'Chỉ admin hoặc trưởng phòng được lập kế hoạch làm thêm giờ' });
+    }
+    if (department && !canManage(managed, department)) {
+      return res.status(403).json({ message: 'Không có quyền lập kế hoạch cho phòng ban này' });
+    }
+
+    const employees = await Employee.find({
+      $or: [
+        ...(department ? [{ department }] : []),
+        { _id: { $in: employeeIds } }
+      ]
+    }).sort({ fullName: 1 });
+
+    const foundIds = new Set(employees.map(employee => employee._id.toString()));
+    if (employeeIds.some(id => !foundIds.has(id.toString()))) {
+      return res.status(400).json({ message: 'Không tìm thấy nhân viên trong danh sách' });
+    }
+    if (employees.length === 0) {
+      return res.status(400).json({ message: 'Phòng ban chưa có nhân viên nào' });
+    }
+    const outside = employees.filter(employee => !canManage(managed, employee.department));
+    if (outside.length > 0) {
+      return res.status(403).json({
+        message: 'Không có quyền lập kế hoạch cho nhân viên ngoài phòng ban mình quản lý',
+        employees: outside.map(employee => ({ _id: employee._id, fullName: employee.fullName }))
+      });
+    }
+
+    const plan = new OvertimePlan({
+      title,
+      date: startOfDay(date),
+      requestedHours,
+      reason,
+      compensation,
+      department,
+      createdBy: req.user._id
+    });
+
+    // Ngày của kế hoạch theo lịch tổ chức; yêu cầu của mỗi nhân viên lấy cùng ngày đó theo múi giờ của nhân viên
+    const planDay = formatDate(plan.date);
+
+    // Kiểm tra từng nhân viên như khi tự tạo yêu cầu, nhân viên không hợp lệ được bỏ qua
+    const requests = [];
+    const warnings = {};
+    const skipped = [];
+    for (const employee of employees) {
+      const summary = { _id: employee._id, fullName: employee.fullName };
+      const validated = await OvertimeRequest.validateNew(employee, { date: planDay, requestedHours });
+      if (validated.error) {
+        skipped.push({ employee: summary, message: validated.error.message, errors: validated.error.errors });
+        continue;
+      }
+
+      const duplicate = await OvertimeRequest.exists({
+        employeeId: employee._id,
+        date: validated.date,
+        status: { $in: ['pending', 'approved'] }
+      });
+      if (duplicate) {
+        skipped.push({ employee: summary, message: 'Nhân viên đã có yêu cầu làm thêm giờ trong ngày này' });
+        continue;
+      }
+
+      const request = new OvertimeRequest({
+        employeeId: employee._id,
+        date: validated.date,
+        requestedHours: validated.requestedHours,
+        reason: reason || title,
+        compensation,
+        planId: plan._id,
+        acceptance: 'pending'
+      });
+      warnings[request._id] = validated.warnings;
+      requests.push(request);
+    }
+
+    if (requests.length === 0) {
+      return res.status(400).json({
+        message: 'Không tạo được yêu cầu làm thêm giờ nào cho kế hoạch',
+        skipped
+      });
+    }
+
+    await plan.save();
+    await OvertimeRequest.insertMany(requests);
+
+    req.entityId = plan._id;
+    req.changes = { requests: requests.length, skipped: skipped.length };
+    await activityLogger('create', 'overtime')(req, res);
+
+    res.status(201).json({
+      message: `Đã lập kế hoạch làm thêm giờ cho ${requests.length} nhân viên`,
+      plan,
+      requests: requests.map(request => ({ ...request.toJSON(), warnings: warnings[request._id] })),
+      skipped
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/overtime/plans:
+ *   get:
+ *     summary: Lấy danh sách kế hoạch làm thêm giờ
+ *     description: Admin xem tất cả, trưởng phòng xem kế hoạch của phòng ban mình quản lý hoặc do mình lập.
+ *     tags: [OvertimePlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Danh sách kế hoạch làm thêm giờ
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/OvertimePlan'
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const { department, startDate, endDate } = req.query;
+    const managed = await getManagedDepartments(req.user);
+
+    const query = {};
+    if (managed !== null) {
+      query.$or = [{ createdBy: req.user._id }, { department: { $in: managed } }];
+    }
+    if (department) query.department = department;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = startOfDay(startDate);
+      if (endDate) query.date.$lte = startOfDay(endDate);
+    }
+
+    const plans = await OvertimePlan.find(query)
+      .populate('department', 'name')
+      .populate('createdBy', 'email')
+      .sort({ date: -1 });
+
+    res.json(plans);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/overtime/plans/{id}:
+ *   get:
+ *     summary: Lấy chi tiết kế hoạch làm thêm giờ và trạng thái của từng nhân viên
+ *     tags: [OvertimePlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chi tiết kế hoạch
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 plan:
+ *                   $ref: '#/components/schemas/OvertimePlan'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     accepted:
+ *                       type: integer
+ *                     declined:
+ *                       type: integer
+ *                     awaiting:
+ *                       type: integer
+ *                       description: Số nhân viên chưa phản hồi
+ *                     pending:
+ *                       type: integer
+ *                     approved:
+ *                       type: integer
+ *                     rejected:
+ *                       type: integer
+ *                     cancelled:
+ *                       type: integer
+ *                 requests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OvertimeRequest'
+ *       403:
+ *         description: Không có quyền xem kế hoạch
+ *       404:
+ *         description: Không tìm thấy kế hoạch
+ */
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const plan = mongoose.Types.ObjectId.isValid(req.params.id) && await OvertimePlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ message: 'Không tìm thấy kế hoạch làm thêm giờ' });
+    }
+
+    const managed = await getManagedDepartments(req.user);
+    if (!canView(plan, req.user, managed)) {
+      return res.status(403).json({ message: 'Không có quyền xem kế hoạch này' });
+    }
+
+    const [summary, requests] = await Promise.all([
+      plan.getSummary(),
+      OvertimeRequest.find({ planId: plan._id })
+        .populate('employeeId', 'fullName department')
+        .sort({ createdAt: 1 })
+    ]);
+
+    res.json({ plan, summary, requests });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Nhân viên phản hồi yêu cầu của mình trong kế hoạch
+const respond = (acceptance) => async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id });
+    const request = employee && mongoose.Types.ObjectId.isValid(req.params.id) && await OvertimeRequest.findOne({
+      planId: req.params.id,
+      employeeId: employee._id
+    });
+    if (!request) {
+      return res.status(404).json({ message: 'Không tìm thấy yêu cầu của bạn trong kế hoạch làm thêm giờ' });
+    }
+
+    if (request.status !== 'pending') {
+      return res.status(400).json({ message: 'Yêu cầu làm thêm giờ không còn chờ duyệt' });
+    }
+
+    const { compensation } = req.body;
+    if (acceptance === 'accepted' && compensation !== undefined) {
+      if (!COMPENSATIONS.includes(compensation)) {
+        return res.status(400).json({ message: 'Hình thức bù giờ làm thêm không hợp lệ' });
+      }
+      request.compensation = compensation;
+    }
+
+    // Giờ làm thêm có thể đã dùng hết giới hạn kể từ khi lập kế hoạch, kiểm tra lại như khi tạo yêu cầu
+    let warnings = [];
+    if (acceptance === 'accepted') {
+      const timeZone = await employee.resolveTimezone();
+      const validated = await OvertimeRequest.validateNew(employee, {
+        date: formatDate(request.date, timeZone),
+        requestedHours: request.requestedHours
+      }, { excludeId: request._id });
+      if (validated.error) {
+        return res.status(400).json(validated.error);
+      }
+      warnings = validated.warnings;
+    }
+
+    request.acceptance = acceptance;
+    request.respondedAt = new Date();
+    // Nhân viên từ chối thì yêu cầu được hủy, không chờ admin duyệt
+    if (acceptance === 'declined') {
+      request.status = 'cancelled';
+      request.cancelledAt = new Date();
+    }
+    await request.save();
+
+    res.json({
+      message: acceptance === 'accepted'
+        ? 'Đã đồng ý làm thêm giờ theo kế hoạch'
+        : 'Đã từ chối làm thêm giờ theo kế hoạch',
+      request: { ...request.toJSON(), warnings }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/overtime/plans/{id}/accept:
+ *   put:
+ *     summary: Nhân viên đồng ý làm thêm giờ theo kế hoạch
+ *     tags: [OvertimePlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               compensation:
+ *                 type: string
+ *                 enum: [pay, toil]
+ *                 description: Chọn nhận lương làm thêm hoặc nghỉ bù thay cho hình thức mặc định của kế hoạch
+ *     responses:
+ *       200:
+ *         description: Đã đồng ý
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 request:
+ *                   $ref: '#/components/schemas/OvertimeRequest'
+ *       400:
+ *         description: Yêu cầu không còn chờ duyệt, thuộc kỳ chấm công đã khóa hoặc vượt giới hạn giờ làm thêm
+ *       404:
+ *         description: Nhân viên không có trong kế hoạch
+ */
+router.put('/:id/accept', auth, respond('accepted'));
+
+/**
+ * @swagger
+ * /api/overtime/plans/{id}/decline:
+ *   put:
+ *     summary: Nhân viên từ chối làm thêm giờ theo kế hoạch
+ *     description: Yêu cầu làm thêm giờ của nhân viên trong kế hoạch được hủy.
+ *     tags: [OvertimePlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Đã từ chối
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 request:
+ *                   $ref: '#/components/schemas/OvertimeRequest'
+ *       400:
+ *         description: Yêu cầu không còn chờ duyệt
+ *       404:
+ *         description: Nhân viên không có trong kế hoạch
+ */
+router.put('/:id/decline', auth, respond('declined'));
+
+/**
+ * @swagger
+ * /api/overtime/plans/{id}/approve:
+ *   put:
+ *     summary: Duyệt hàng loạt các yêu cầu trong kế hoạch đã được nhân viên đồng ý (chỉ admin)
+ *     description: Yêu cầu của nhân viên chưa phản hồi vẫn chờ duyệt và có thể duyệt sau. Yêu cầu thuộc kỳ chấm công đã khóa được bỏ qua.
+ *     tags: [OvertimePlans]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *                 description: Ghi chú khi duyệt
+ *     responses:
+ *       200:
+ *         description: Kết quả duyệt hàng loạt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 approved:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OvertimeRequest'
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/OvertimePlanSkipped'
+ *       400:
+ *         description: Không có yêu cầu nào đã được đồng ý và đang chờ duyệt
+ *       404:
+ *         description: Không tìm thấy kế hoạch
+ */
+router.put('/:id/approve', [auth, isAdmin], async (req, res) => {
+  try {
+    const plan = mongoose.Types.ObjectId.isValid(req.params.id) && await OvertimePlan.findById(req.params.id);
+    if (!plan) {
+      return res.status(404).json({ message: 'Không tìm thấy kế hoạch làm thêm giờ' });
+    }
+
+    const requests = await OvertimeRequest.find({ planId: plan._id, status: 'pending', acceptance: 'accepted' });
+    if (requests.length === 0) {
+      return res.status(400).json({ message: 'Không có yêu cầu nào đã được nhân viên đồng ý và đang chờ duyệt' });
+    }
+
+    const approved = [];
+    const skipped = [];
+    for (const request of requests) {
+      const employee = await Employee.findById(request.employeeId);
+      const lockedPeriod = await AttendancePeriod.findLocked(request.date, request.date, await employee.resolveTimezone());
+      if (lockedPeriod) {
+        skipped.push({ employee: { _id: employee._id, fullName: employee.fullName }, message: lockedPeriod.getLockedMessage() });
+        continue;
+      }
+
+      request.status = 'approved';
+      request.approvedBy = req.user._id;
+      request.approvedAt = new Date();
+      if (req.body.comment !== undefined) request.decisionReason = req.body.comment;
+      await request.save();
+      await request.applyToAttendance(employee);
+      approved.push(request);
+    }
+
+    if (approved.length > 0) {
+      plan.approvedBy = req.user._id;
+      plan.approvedAt = new Date();
+      await plan.save();
+    }
+
+    req.entityId = plan._id;
+    req.changes = { approved: approved.length, skipped: skipped.length };
+    await activityLogger('update', 'overtime')(req, res);
+
+    res.json({
+      message: `Đã duyệt ${approved.length} yêu cầu làm thêm giờ`,
+      approved,
+      skipped
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
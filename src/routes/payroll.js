@@ -0,0 +1,584 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const { auth, isAdmin } = require('../middleware/auth');
+const PayrollRun = require('../models/PayrollRun');
+const Payslip = require('../models/Payslip');
+const Employee = require('../models/Employee');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const activityLogger = require('../middleware/activityLogger');
+
+// Người thực hiện và thời điểm của từng bước chuyển trạng thái
+const STATUS_ACTORS = {
+  reviewed: ['reviewedBy', 'reviewedAt'],
+  approved: ['approvedBy', 'approvedAt'],
+  paid: ['paidBy', 'paidAt']
+};
+
+// Kiểm tra năm, tháng của kỳ lương
+const parsePeriod = ({ year, month }) => {
+  const parsedYear = Number(year);
+  const parsedMonth = Number(month);
+  if (!Number.isInteger(parsedYear) || !Number.isInteger(parsedMonth) || parsedMonth < 1 || parsedMonth > 12) {
+    return null;
+  }
+  return { year: parsedYear, month: parsedMonth };
+};
+
+const findRun = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return PayrollRun.findById(id);
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PayrollRun:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         year:
+ *           type: integer
+ *         month:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [draft, reviewed, approved, paid]
+ *         createdBy:
+ *           type: string
+ *         calculatedAt:
+ *           type: string
+ *           format: date-time
+ *         reviewedBy:
+ *           type: string
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *         approvedBy:
+ *           type: string
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *         paidBy:
+ *           type: string
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *         note:
+ *           type: string
+ *         totals:
+ *           type: object
+ *           properties:
+ *             employees:
+ *               type: integer
+ *             regularPay:
+ *               type: number
+ *             leavePay:
+ *               type: number
+ *             overtimePay:
+ *               type: number
+ *             nightPay:
+ *               type: number
+ *             totalSalary:
+ *               type: number
+ *     Payslip:
+ *       type: object
+ *       description: Đầu vào và kết quả tính lương của nhân viên tại thời điểm tính, không đổi sau khi kỳ lương được duyệt
+ *       properties:
+ *         _id:
+ *           type: string
+ *         runId:
+ *           type: string
+ *         employeeId:
+ *           type: string
+ *         year:
+ *           type: integer
+ *         month:
+ *           type: integer
+ *         fullName:
+ *           type: string
+ *         department:
+ *           type: string
+ *         departmentName:
+ *           type: string
+ *         position:
+ *           type: string
+ *         baseSalary:
+ *           type: number
+ *         overtimeRate:
+ *           type: number
+ *         workingDays:
+ *           type: integer
+ *         workingHours:
+ *           type: number
+ *         overtimeHours:
+ *           type: number
+ *         toilHours:
+ *           type: number
+ *           description: Giờ làm thêm chọn nghỉ bù, không trả lương trong kỳ mà cộng vào số dư nghỉ bù
+ *         nightHours:
+ *           type: number
+ *         paidLeaveDays:
+ *           type: number
+ *           description: Số ngày nghỉ có lương (phép năm, ốm, nghỉ bù)
+ *         leaveHours:
+ *           type: number
+ *         regularPay:
+ *           type: number
+ *           description: Lương giờ làm, không gồm giờ làm thêm
+ *         leavePay:
+ *           type: number
+ *           description: Lương ngày nghỉ có lương theo giờ chuẩn của ca
+ *         overtimePay:
+ *           type: number
+ *         overtimeBreakdown:
+ *           type: object
+ *           description: Giờ, hệ số và tiền làm thêm theo loại ngày (weekday, weekend, holiday)
+ *         nightPay:
+ *           type: number
+ *         totalSalary:
+ *           type: number
+ *         locked:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/payroll/runs:
+ *   get:
+ *     summary: Lấy danh sách kỳ lương (chỉ admin)
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, reviewed, approved, paid]
+ *     responses:
+ *       200:
+ *         description: Danh sách kỳ lương
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PayrollRun'
+ */
+router.get('/runs', [auth, isAdmin], async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.year) query.year = Number(req.query.year);
+    if (req.query.status) query.status = req.query.status;
+
+    const runs = await PayrollRun.find(query)
+      .populate('createdBy', 'email')
+      .sort({ year: -1, month: -1 });
+    res.json(runs);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs:
+ *   post:
+ *     summary: Tạo kỳ lương nháp và tính phiếu lương cho toàn bộ nhân viên (chỉ admin)
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - year
+ *               - month
+ *             properties:
+ *               year:
+ *                 type: integer
+ *               month:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *               note:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Tạo kỳ lương thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PayrollRun'
+ *       400:
+ *         description: Tháng không hợp lệ hoặc kỳ lương đã tồn tại
+ */
+router.post('/runs', [auth, isAdmin], async (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    if (!period) {
+      return res.status(400).json({ message: 'Năm hoặc tháng không hợp lệ' });
+    }
+
+    const existing = await PayrollRun.findOne(period);
+    if (existing) {
+      return res.status(400).json({ message: `Kỳ lương tháng ${period.month}/${period.year} đã tồn tại`, run: existing });
+    }
+
+    const run = new PayrollRun({
+      ...period,
+      note: req.body.note,
+      createdBy: req.user._id
+    });
+    await run.calculate();
+
+    req.entityId = run._id;
+    await activityLogger('create', 'payroll')(req, res);
+
+    res.status(201).json(run);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Kỳ lương của tháng này đã tồn tại' });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}:
+ *   get:
+ *     summary: Lấy chi tiết kỳ lương kèm phiếu lương (chỉ admin)
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Kỳ lương và danh sách phiếu lương
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 run:
+ *                   $ref: '#/components/schemas/PayrollRun'
+ *                 payslips:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Payslip'
+ *       404:
+ *         description: Không tìm thấy kỳ lương
+ */
+router.get('/runs/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const run = await findRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'Không tìm thấy kỳ lương' });
+    }
+
+    const payslips = await Payslip.find({ runId: run._id }).sort({ fullName: 1 });
+    res.json({ run, payslips });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}/recalculate:
+ *   put:
+ *     summary: Tính lại phiếu lương của kỳ lương nháp theo dữ liệu chấm công hiện tại (chỉ admin)
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tính lại thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PayrollRun'
+ *       400:
+ *         description: Kỳ lương không còn ở trạng thái nháp
+ *       404:
+ *         description: Không tìm thấy kỳ lương
+ */
+router.put('/runs/:id/recalculate', [auth, isAdmin], async (req, res) => {
+  try {
+    const run = await findRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'Không tìm thấy kỳ lương' });
+    }
+    if (!run.isEditable()) {
+      return res.status(400).json({ message: 'Chỉ có thể tính lại kỳ lương ở trạng thái nháp' });
+    }
+
+    req.originalBody = run.toObject();
+    const previousTotals = run.toObject().totals;
+    await run.calculate();
+
+    req.entityId = run._id;
+    req.changes = { totals: { from: previousTotals, to: run.toObject().totals } };
+    await activityLogger('update', 'payroll')(req, res);
+
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}/status:
+ *   put:
+ *     summary: Chuyển trạng thái kỳ lương (chỉ admin)
+ *     description: |
+ *       Các bước hợp lệ: draft → reviewed → approved → paid. Kỳ lương đã kiểm tra có thể trả về nháp để tính lại.
+ *       Chỉ duyệt được khi kỳ chấm công của tháng đã khóa; sau khi duyệt, phiếu lương không thể thay đổi.
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, reviewed, approved, paid]
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Chuyển trạng thái thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PayrollRun'
+ *       400:
+ *         description: Bước chuyển không hợp lệ, kỳ chấm công chưa khóa hoặc bảng lương được tính trước khi khóa kỳ
+ *       404:
+ *         description: Không tìm thấy kỳ lương
+ */
+router.put('/runs/:id/status', [auth, isAdmin], async (req, res) => {
+  try {
+    const run = await findRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'Không tìm thấy kỳ lương' });
+    }
+
+    const { status } = req.body;
+    if (!run.canTransitionTo(status)) {
+      return res.status(400).json({ message: `Không thể chuyển kỳ lương từ trạng thái ${run.status} sang ${status}` });
+    }
+
+    if (status === 'approved') {
+      const period = await AttendancePeriod.findOne({ year: run.year, month: run.month, status: 'closed' });
+      if (!period) {
+        return res.status(400).json({ message: `Vui lòng khóa kỳ chấm công tháng ${run.month}/${run.year} trước khi duyệt lương` });
+      }
+      // Bảng lương phải được tính từ dữ liệu chấm công đã khóa
+      if (!run.calculatedAt || (period.closedAt && run.calculatedAt < period.closedAt)) {
+        return res.status(400).json({ message: 'Bảng lương được tính trước khi khóa kỳ chấm công, vui lòng chuyển về nháp và tính lại' });
+      }
+    }
+
+    req.originalBody = run.toObject();
+    const previousStatus = run.status;
+
+    run.status = status;
+    if (STATUS_ACTORS[status]) {
+      const [byField, atField] = STATUS_ACTORS[status];
+      run[byField] = req.user._id;
+      run[atField] = new Date();
+    } else {
+      run.reviewedBy = undefined;
+      run.reviewedAt = undefined;
+    }
+    if (req.body.note !== undefined) run.note = req.body.note;
+    await run.save();
+
+    if (status === 'approved') await run.lockPayslips();
+
+    req.entityId = run._id;
+    req.changes = { status: { from: previousStatus, to: status } };
+    await activityLogger('update', 'payroll')(req, res);
+
+    res.json(run);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/runs/{id}:
+ *   delete:
+ *     summary: Xóa kỳ lương nháp cùng các phiếu lương (chỉ admin)
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Xóa thành công
+ *       400:
+ *         description: Kỳ lương không còn ở trạng thái nháp
+ *       404:
+ *         description: Không tìm thấy kỳ lương
+ */
+router.delete('/runs/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const run = await findRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ message: 'Không tìm thấy kỳ lương' });
+    }
+    if (!run.isEditable()) {
+      return res.status(400).json({ message: 'Chỉ có thể xóa kỳ lương ở trạng thái nháp' });
+    }
+
+    req.originalBody = run.toObject();
+    await Payslip.deleteMany({ runId: run._id });
+    await run.deleteOne();
+
+    req.entityId = run._id;
+    await activityLogger('delete', 'payroll')(req, res);
+
+    res.json({ message: 'Đã xóa kỳ lương' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/payslips/me:
+ *   get:
+ *     summary: Lấy phiếu lương của nhân viên đang đăng nhập
+ *     description: Chỉ trả về phiếu lương của các kỳ lương đã duyệt hoặc đã thanh toán
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Danh sách phiếu lương
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Payslip'
+ *       404:
+ *         description: Không tìm thấy thông tin nhân viên
+ */
+router.get('/payslips/me', auth, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy thông tin nhân viên' });
+    }
+
+    const query = { employeeId: employee._id, locked: true };
+    if (req.query.year) query.year = Number(req.query.year);
+
+    const payslips = await Payslip.find(query).sort({ year: -1, month: -1 });
+    res.json(payslips);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/payroll/payslips/{id}:
+ *   get:
+ *     summary: Lấy chi tiết phiếu lương
+ *     description: Admin xem mọi phiếu lương; nhân viên chỉ xem phiếu lương đã duyệt của mình
+ *     tags: [Payroll]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Chi tiết phiếu lương
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Payslip'
+ *       403:
+ *         description: Không có quyền xem phiếu lương này
+ *       404:
+ *         description: Không tìm thấy phiếu lương
+ */
+router.get('/payslips/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Không tìm thấy phiếu lương' });
+    }
+
+    const payslip = await Payslip.findById(req.params.id);
+    if (!payslip) {
+      return res.status(404).json({ message: 'Không tìm thấy phiếu lương' });
+    }
+
+    if (req.user.role !== 'admin') {
+      const employee = await Employee.findOne({ userId: req.user._id });
+      if (!employee || !payslip.employeeId.equals(employee._id) || !payslip.locked) {
+        return res.status(403).json({ message: 'Bạn không có quyền xem phiếu lương này' });
+      }
+    }
+
+    res.json(payslip);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
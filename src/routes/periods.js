@@ -0,0 +1,247 @@
+const express = require('express');
+const router = express.Router();
+const { auth, isAdmin } = require('../middleware/auth');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const PayrollRun = require('../models/PayrollRun');
+const activityLogger = require('../middleware/activityLogger');
+
+// Kiểm tra năm, tháng của kỳ chấm công
+const parsePeriod = ({ year, month }) => {
+  const parsedYear = Number(year);
+  const parsedMonth = Number(month);
+  if (!Number.isInteger(parsedYear) || !Number.isInteger(parsedMonth) || parsedMonth < 1 || parsedMonth > 12) {
+    return null;
+  }
+  return { year: parsedYear, month: parsedMonth };
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AttendancePeriod:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         year:
+ *           type: integer
+ *         month:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [open, closed]
+ *         closedBy:
+ *           type: string
+ *         closedAt:
+ *           type: string
+ *           format: date-time
+ *         reopenedBy:
+ *           type: string
+ *         reopenedAt:
+ *           type: string
+ *           format: date-time
+ *         reopenReason:
+ *           type: string
+ *         note:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/periods:
+ *   get:
+ *     summary: Lấy danh sách kỳ chấm công đã khóa hoặc đã mở lại (chỉ admin)
+ *     tags: [Periods]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *     responses:
+ *       200:
+ *         description: Danh sách kỳ chấm công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/AttendancePeriod'
+ */
+router.get('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.year) query.year = Number(req.query.year);
+    if (req.query.status) query.status = req.query.status;
+
+    const periods = await AttendancePeriod.find(query)
+      .populate('closedBy', 'email')
+      .populate('reopenedBy', 'email')
+      .sort({ year: -1, month: -1 });
+    res.json(periods);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/periods/close:
+ *   put:
+ *     summary: Khóa kỳ chấm công của một tháng sau khi chốt lương (chỉ admin)
+ *     description: Sau khi khóa, mọi thao tác tạo/cập nhật chấm công, điều chỉnh, làm thêm giờ, nghỉ phép và làm từ xa thuộc tháng này đều bị từ chối.
+ *     tags: [Periods]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - year
+ *               - month
+ *             properties:
+ *               year:
+ *                 type: integer
+ *               month:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Khóa kỳ thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AttendancePeriod'
+ *       400:
+ *         description: Tháng không hợp lệ hoặc kỳ đã khóa
+ */
+router.put('/close', [auth, isAdmin], async (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    if (!period) {
+      return res.status(400).json({ message: 'Năm hoặc tháng không hợp lệ' });
+    }
+
+    const attendancePeriod = await AttendancePeriod.findOne(period) || new AttendancePeriod(period);
+    if (attendancePeriod.status === 'closed') {
+      return res.status(400).json({ message: 'Kỳ chấm công đã được khóa' });
+    }
+
+    req.originalBody = attendancePeriod.isNew ? undefined : attendancePeriod.toObject();
+    const previousStatus = attendancePeriod.status;
+
+    attendancePeriod.status = 'closed';
+    attendancePeriod.closedBy = req.user._id;
+    attendancePeriod.closedAt = new Date();
+    if (req.body.note !== undefined) attendancePeriod.note = req.body.note;
+    await attendancePeriod.save();
+
+    req.entityId = attendancePeriod._id;
+    req.changes = { status: { from: previousStatus, to: 'closed' } };
+    await activityLogger('update', 'period')(req, res);
+
+    res.json({
+      message: `Đã khóa kỳ chấm công tháng ${period.month}/${period.year}`,
+      period: attendancePeriod
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/periods/reopen:
+ *   put:
+ *     summary: Mở lại kỳ chấm công đã khóa (chỉ admin)
+ *     tags: [Periods]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - year
+ *               - month
+ *               - reason
+ *             properties:
+ *               year:
+ *                 type: integer
+ *               month:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *               reason:
+ *                 type: string
+ *                 description: Lý do mở lại kỳ
+ *     responses:
+ *       200:
+ *         description: Mở lại kỳ thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AttendancePeriod'
+ *       400:
+ *         description: Thiếu lý do, kỳ chưa khóa hoặc kỳ lương của tháng đã được duyệt
+ */
+router.put('/reopen', [auth, isAdmin], async (req, res) => {
+  try {
+    const period = parsePeriod(req.body);
+    if (!period) {
+      return res.status(400).json({ message: 'Năm hoặc tháng không hợp lệ' });
+    }
+    if (!req.body.reason) {
+      return res.status(400).json({ message: 'Vui lòng nhập lý do mở lại kỳ' });
+    }
+
+    const attendancePeriod = await AttendancePeriod.findOne(period);
+    if (!attendancePeriod || attendancePeriod.status !== 'closed') {
+      return res.status(400).json({ message: 'Kỳ chấm công chưa được khóa' });
+    }
+
+    // Phiếu lương của kỳ lương đã duyệt/đã trả được tính từ dữ liệu đang khóa, không cho sửa chấm công
+    const payrollRun = await PayrollRun.findOne({ ...period, status: { $in: ['approved', 'paid'] } });
+    if (payrollRun) {
+      return res.status(400).json({
+        message: `Kỳ lương tháng ${period.month}/${period.year} đã được duyệt, không thể mở lại kỳ chấm công`
+      });
+    }
+
+    req.originalBody = attendancePeriod.toObject();
+
+    attendancePeriod.status = 'open';
+    attendancePeriod.reopenedBy = req.user._id;
+    attendancePeriod.reopenedAt = new Date();
+    attendancePeriod.reopenReason = req.body.reason;
+    await attendancePeriod.save();
+
+    req.entityId = attendancePeriod._id;
+    req.changes = { status: { from: 'closed', to: 'open' } };
+    await activityLogger('update', 'period')(req, res);
+
+    res.json({
+      message: `Đã mở lại kỳ chấm công tháng ${period.month}/${period.year}`,
+      period: attendancePeriod
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,513 @@
+const express = require('express');
+const router = express.Router();
+const { auth, isAdmin } = require('../middleware/auth');
+const RemoteWorkRequest = require('../models/RemoteWorkRequest');
+const Employee = require('../models/Employee');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const { startOfDay, getDateParts } = require('../utils/date');
+const { createRequestWorkflow } = require('../utils/requestWorkflow');
+
+// Các tháng (năm, tháng) có ngày làm từ xa trong danh sách ngày của đơn
+const getMonths = (dates, timeZone) => {
+  const months = new Map();
+  dates.forEach(date => {
+    const { year, month } = getDateParts(date, timeZone);
+    months.set(`${year}-${month}`, { year, month });
+  });
+  return [...months.values()];
+};
+
+// Kiểm tra định mức từng tháng mà đơn đăng ký, trả về tháng vượt định mức (nếu có)
+const checkQuota = async (employee, request, timeZone, { excludeId } = {}) => {
+  for (const { year, month } of getMonths(request.dates, timeZone)) {
+    const usage = await RemoteWorkRequest.getUsage(employee, year, month, { excludeId, timeZone });
+    const requested = request.dates.filter(date => {
+      const parts = getDateParts(date, timeZone);
+      return parts.year === year && parts.month === month;
+    }).length;
+
+    if (requested > usage.available) {
+      return { ...usage, requested };
+    }
+  }
+  return null;
+};
+
+const remoteWorkflow = createRequestWorkflow({
+  Model: RemoteWorkRequest,
+  entityType: 'remote',
+  name: 'làm việc từ xa',
+  responseKey: 'request',
+  // Định mức có thể đã thay đổi kể từ khi nhân viên gửi đơn
+  validateApproval: async (request, employee, timeZone) => {
+    const exceeded = await checkQuota(employee, request, timeZone, { excludeId: request._id });
+    if (!exceeded) return null;
+    return {
+      message: 'Số ngày làm việc từ xa vượt quá định mức tháng của nhân viên',
+      usage: exceeded
+    };
+  },
+  // Ngày đã chấm công trước khi duyệt cũng được ghi nhận là làm từ xa
+  apply: request => request.applyToAttendance('remote'),
+  revert: request => request.applyToAttendance('office')
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RemoteWorkRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         employeeId:
+ *           type: string
+ *         startDate:
+ *           type: string
+ *           format: date
+ *         endDate:
+ *           type: string
+ *           format: date
+ *         dates:
+ *           type: array
+ *           items:
+ *             type: string
+ *             format: date
+ *           description: Các ngày làm việc trong khoảng đăng ký
+ *         days:
+ *           type: number
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *         reason:
+ *           type: string
+ *         approvedBy:
+ *           type: string
+ *         approvedAt:
+ *           type: string
+ *           format: date-time
+ *         rejectionReason:
+ *           type: string
+ *         cancelledAt:
+ *           type: string
+ *           format: date-time
+ *     RemoteWorkUsage:
+ *       type: object
+ *       properties:
+ *         year:
+ *           type: integer
+ *         month:
+ *           type: integer
+ *         quota:
+ *           type: number
+ *           description: Số ngày làm từ xa tối đa trong tháng
+ *         used:
+ *           type: number
+ *           description: Số ngày đã được duyệt
+ *         pending:
+ *           type: number
+ *           description: Số ngày của các đơn đang chờ duyệt
+ *         available:
+ *           type: number
+ */
+
+/**
+ * @swagger
+ * /api/attendance/remote:
+ *   post:
+ *     summary: Gửi đơn đăng ký làm việc từ xa
+ *     tags: [RemoteWork]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *               - endDate
+ *               - reason
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date
+ *               endDate:
+ *                 type: string
+ *                 format: date
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Gửi đơn thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RemoteWorkRequest'
+ *       400:
+ *         description: Dữ liệu không hợp lệ, trùng đơn khác hoặc vượt định mức
+ */
+router.post('/', auth, async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body;
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const errors = [];
+    if (!startDate) errors.push('Ngày bắt đầu là bắt buộc');
+    if (!endDate) errors.push('Ngày kết thúc là bắt buộc');
+    if (!reason) errors.push('Lý do là bắt buộc');
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Dữ liệu không hợp lệ',
+        errors
+      });
+    }
+
+    if (isNaN(new Date(startDate)) || isNaN(new Date(endDate))) {
+      return res.status(400).json({ message: 'Khoảng thời gian không hợp lệ' });
+    }
+
+    const timeZone = await employee.resolveTimezone();
+    const start = startOfDay(startDate, timeZone);
+    const end = startOfDay(endDate, timeZone);
+    if (end < start) {
+      return res.status(400).json({ message: 'Khoảng thời gian không hợp lệ' });
+    }
+
+    const lockedPeriod = await AttendancePeriod.findLocked(start, end, timeZone);
+    if (lockedPeriod) {
+      return res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod });
+    }
+
+    const dates = await employee.getWorkingDays(start, end, { timeZone });
+    if (dates.length === 0) {
+      return res.status(400).json({ message: 'Khoảng thời gian không có ngày làm việc' });
+    }
+
+    const overlapping = await RemoteWorkRequest.findOne({
+      employeeId: employee._id,
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: end },
+      endDate: { $gte: start }
+    });
+    if (overlapping) {
+      return res.status(400).json({
+        message: 'Khoảng thời gian trùng với đơn làm việc từ xa khác',
+        request: overlapping
+      });
+    }
+
+    const request = new RemoteWorkRequest({
+      employeeId: employee._id,
+      startDate: start,
+      endDate: end,
+      dates,
+      days: dates.length,
+      reason
+    });
+
+    const exceeded = await checkQuota(employee, request, timeZone);
+    if (exceeded) {
+      return res.status(400).json({
+        message: 'Số ngày làm việc từ xa vượt quá định mức của tháng',
+        usage: exceeded
+      });
+    }
+
+    await request.save();
+
+    res.status(201).json({
+      message: 'Đã gửi đơn đăng ký làm việc từ xa',
+      request
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/remote/me:
+ *   get:
+ *     summary: Lấy danh sách đơn làm việc từ xa và định mức tháng của nhân viên hiện tại
+ *     tags: [RemoteWork]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: month
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 12
+ *         description: Tháng xem định mức (mặc định tháng hiện tại)
+ *       - in: query
+ *         name: year
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *     responses:
+ *       200:
+ *         description: Danh sách đơn và định mức
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 usage:
+ *                   $ref: '#/components/schemas/RemoteWorkUsage'
+ *                 requests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RemoteWorkRequest'
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const timeZone = await employee.resolveTimezone();
+    const current = getDateParts(new Date(), timeZone);
+    const year = Number(req.query.year) || current.year;
+    const month = Number(req.query.month) || current.month;
+
+    const query = { employeeId: employee._id };
+    if (req.query.status) query.status = req.query.status;
+
+    const [usage, requests] = await Promise.all([
+      RemoteWorkRequest.getUsage(employee, year, month, { timeZone }),
+      RemoteWorkRequest.find(query)
+        .populate('approvedBy', 'email')
+        .sort({ startDate: -1 })
+    ]);
+
+    res.json({ usage, requests });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/remote:
+ *   get:
+ *     summary: Lấy danh sách đơn làm việc từ xa của tất cả nhân viên (chỉ admin)
+ *     tags: [RemoteWork]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: employeeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: ID phòng ban
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Danh sách đơn làm việc từ xa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 requests:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RemoteWorkRequest'
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ */
+router.get('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const {
+      status,
+      employeeId,
+      department,
+      startDate,
+      endDate,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    if (employeeId) {
+      query.employeeId = employeeId;
+    } else if (department) {
+      const employees = await Employee.find({ department }).select('_id');
+      query.employeeId = { $in: employees.map(emp => emp._id) };
+    }
+
+    if (startDate) query.endDate = { $gte: startOfDay(startDate) };
+    if (endDate) query.startDate = { $lte: startOfDay(endDate) };
+
+    const [requests, total] = await Promise.all([
+      RemoteWorkRequest.find(query)
+        .populate('employeeId', 'fullName department')
+        .populate('approvedBy', 'email')
+        .sort({ startDate: -1 })
+        .skip((page - 1) * limit)
+        .limit(parseInt(limit)),
+      RemoteWorkRequest.countDocuments(query)
+    ]);
+
+    res.json({
+      requests,
+      pagination: {
+        total,
+        page: parseInt(page),
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/attendance/remote/approve/{id}:
+ *   put:
+ *     summary: Phê duyệt đơn làm việc từ xa (chỉ admin)
+ *     tags: [RemoteWork]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Phê duyệt thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RemoteWorkRequest'
+ *       400:
+ *         description: Đơn không ở trạng thái chờ duyệt hoặc vượt định mức
+ *       404:
+ *         description: Không tìm thấy đơn
+ */
+router.put('/approve/:id', [auth, isAdmin], remoteWorkflow.approve);
+
+/**
+ * @swagger
+ * /api/attendance/remote/reject/{id}:
+ *   put:
+ *     summary: Từ chối hoặc thu hồi đơn làm việc từ xa đã duyệt (chỉ admin)
+ *     tags: [RemoteWork]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Lý do từ chối
+ *     responses:
+ *       200:
+ *         description: Từ chối thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RemoteWorkRequest'
+ *       400:
+ *         description: Thiếu lý do hoặc đơn đã bị từ chối/hủy
+ *       404:
+ *         description: Không tìm thấy đơn
+ */
+router.put('/reject/:id', [auth, isAdmin], remoteWorkflow.reject);
+
+/**
+ * @swagger
+ * /api/attendance/remote/cancel/{id}:
+ *   put:
+ *     summary: Nhân viên hủy đơn làm việc từ xa trước ngày bắt đầu
+ *     tags: [RemoteWork]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Hủy đơn thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RemoteWorkRequest'
+ *       400:
+ *         description: Đơn đã bắt đầu, không thể hủy hoặc thuộc kỳ chấm công đã khóa
+ *       403:
+ *         description: Không phải đơn của nhân viên hiện tại
+ *       404:
+ *         description: Không tìm thấy đơn
+ */
+router.put('/cancel/:id', auth, remoteWorkflow.cancel);
+
+module.exports = router;
@@ -0,0 +1,283 @@
+const express = require('express');
+const router = express.Router();
+const { auth, isAdmin } = require('../middleware/auth');
+const Shift = require('../models/Shift');
+const Department = require('../models/Department');
+const Employee = require('../models/Employee');
+const activityLogger = require('../middleware/activityLogger');
+
+const SHIFT_FIELDS = ['name', 'startTime', 'endTime', 'breakMinutes', 'gracePeriodMinutes', 'workingDays', 'isDefault', 'isActive'];
+
+// Chỉ giữ một ca mặc định trong hệ thống
+const clearOtherDefaults = async (shift) => {
+  if (shift.isDefault) {
+    await Shift.updateMany({ _id: { $ne: shift._id } }, { isDefault: false });
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Shift:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Tên ca làm việc
+ *         startTime:
+ *           type: string
+ *           example: '08:00'
+ *         endTime:
+ *           type: string
+ *           example: '17:00'
+ *         breakMinutes:
+ *           type: number
+ *           description: Thời gian nghỉ giữa ca (phút)
+ *         gracePeriodMinutes:
+ *           type: number
+ *           description: Số phút đi muộn được bỏ qua
+ *         workingDays:
+ *           type: array
+ *           items:
+ *             type: integer
+ *             minimum: 0
+ *             maximum: 6
+ *           description: Các ngày làm việc trong tuần (0 = Chủ nhật)
+ *         isDefault:
+ *           type: boolean
+ *           description: Ca áp dụng khi nhân viên và phòng ban chưa được gán ca
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   get:
+ *     summary: Lấy danh sách ca làm việc
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Danh sách ca làm việc
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Shift'
+ */
+router.get('/', auth, async (req, res) => {
+  try {
+    const shifts = await Shift.find({ isActive: true }).sort({ startTime: 1 });
+    res.json(shifts);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/me:
+ *   get:
+ *     summary: Lấy ca làm việc đang áp dụng cho nhân viên hiện tại
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ca làm việc đang áp dụng
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shift'
+ */
+router.get('/me', auth, async (req, res) => {
+  try {
+    const employee = await Employee.findOne({ userId: req.user._id });
+    if (!employee) {
+      return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+    }
+
+    const shift = await Shift.resolveForEmployee(employee);
+    res.json(shift);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts:
+ *   post:
+ *     summary: Tạo ca làm việc (chỉ admin)
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Shift'
+ *     responses:
+ *       201:
+ *         description: Tạo ca thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shift'
+ *       400:
+ *         description: Dữ liệu không hợp lệ
+ */
+router.post('/', [auth, isAdmin], async (req, res) => {
+  try {
+    const data = {};
+    SHIFT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    });
+
+    if (!data.name || !data.startTime || !data.endTime) {
+      return res.status(400).json({ message: 'Tên, giờ bắt đầu và giờ kết thúc ca là bắt buộc' });
+    }
+
+    const existingShift = await Shift.findOne({ name: data.name });
+    if (existingShift) {
+      return res.status(400).json({ message: 'Tên ca làm việc đã tồn tại' });
+    }
+
+    const shift = new Shift(data);
+    await shift.save();
+    await clearOtherDefaults(shift);
+
+    req.body._id = shift._id;
+    await activityLogger('create', 'shift')(req, res);
+
+    res.status(201).json(shift);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   put:
+ *     summary: Cập nhật ca làm việc (chỉ admin)
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Shift'
+ *     responses:
+ *       200:
+ *         description: Cập nhật thành công
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shift'
+ *       404:
+ *         description: Không tìm thấy ca làm việc
+ */
+router.put('/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+    if (!shift) {
+      return res.status(404).json({ message: 'Không tìm thấy ca làm việc' });
+    }
+
+    if (req.body.name && req.body.name !== shift.name) {
+      const existingShift = await Shift.findOne({ name: req.body.name });
+      if (existingShift) {
+        return res.status(400).json({ message: 'Tên ca làm việc đã tồn tại' });
+      }
+    }
+
+    req.originalBody = shift.toObject();
+
+    SHIFT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) shift[field] = req.body[field];
+    });
+    await shift.save();
+    await clearOtherDefaults(shift);
+
+    await activityLogger('update', 'shift')(req, res);
+
+    res.json(shift);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/shifts/{id}:
+ *   delete:
+ *     summary: Ngừng sử dụng ca làm việc (chỉ admin)
+ *     description: Ca đang được gán cho phòng ban hoặc nhân viên sẽ không thể xóa.
+ *     tags: [Shifts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Xóa ca thành công
+ *       400:
+ *         description: Ca đang được sử dụng
+ *       404:
+ *         description: Không tìm thấy ca làm việc
+ */
+router.delete('/:id', [auth, isAdmin], async (req, res) => {
+  try {
+    const shift = await Shift.findById(req.params.id);
+    if (!shift) {
+      return res.status(404).json({ message: 'Không tìm thấy ca làm việc' });
+    }
+
+    const [departmentCount, employeeCount] = await Promise.all([
+      Department.countDocuments({ shift: shift._id, isActive: true }),
+      Employee.countDocuments({ shift: shift._id })
+    ]);
+    if (departmentCount > 0 || employeeCount > 0) {
+      return res.status(400).json({
+        message: 'Không thể xóa ca đang được gán cho phòng ban hoặc nhân viên',
+        departmentCount,
+        employeeCount
+      });
+    }
+
+    req.originalBody = shift.toObject();
+
+    // Soft delete để giữ liên kết với các bản ghi chấm công cũ
+    shift.isActive = false;
+    shift.isDefault = false;
+    await shift.save();
+
+    await activityLogger('delete', 'shift')(req, res);
+
+    res.json({ message: 'Đã xóa ca làm việc thành công' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
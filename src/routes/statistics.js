@@ -3,6 +3,10 @@ const router = express.Router();
 const { auth, isAdmin } = require('../middleware/auth');
 const Employee = require('../models/Employee');
 const Attendance = require('../models/Attendance');
+const Holiday = require('../models/Holiday');
+const { night: nightPolicy } = require('../config/policy');
+const { overtimeGroupFields, regularHoursExpression, overtimePayExpression } = require('../utils/overtime');
+const { getDateParts, getMonthRange } = require('../utils/date');
 const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
 const path = require("path")
@@ -138,6 +142,9 @@ router.get('/employees', [auth, isAdmin], async (req, res) => {
  *                       type: integer
  *                     quarter:
  *                       type: integer
+ *                     workingDays:
+ *                       type: integer
+ *                       description: Số ngày làm việc thực tế trong kỳ (trừ cuối tuần và ngày lễ)
  *                 departments:
  *                   type: array
  *                   items:
@@ -164,8 +171,17 @@ router.get('/employees', [auth, isAdmin], async (req, res) => {
  *                               type: number
  *                             regularPay:
  *                               type: number
+ *                             leavePay:
+ *                               type: number
+ *                               description: Lương ngày nghỉ có lương (phép năm, ốm, nghỉ bù)
  *                             overtimePay:
  *                               type: number
+ *                               description: Tiền làm thêm theo hệ số ngày thường, ngày nghỉ, ngày lễ và làm thêm ban đêm
+ *                             nightHours:
+ *                               type: number
+ *                             nightPay:
+ *                               type: number
+ *                               description: Phụ cấp làm đêm
  *                             totalSalary:
  *                               type: number
  *                       totalEmployees:
@@ -174,8 +190,12 @@ router.get('/employees', [auth, isAdmin], async (req, res) => {
  *                         type: number
  *                       totalRegularPay:
  *                         type: number
+ *                       totalLeavePay:
+ *                         type: number
  *                       totalOvertimePay:
  *                         type: number
+ *                       totalNightPay:
+ *                         type: number
  *                       totalSalary:
  *                         type: number
  *                       avgSalary:
@@ -211,23 +231,30 @@ router.get('/salary', [auth, isAdmin], async (req, res) => {
           message: 'Thiếu thông tin tháng' 
         });
       }
-      startDate = new Date(year, month - 1, 1);
-      endDate = new Date(year, month, 0);
+      ({ startDate, endDate } = getMonthRange(year, month));
     } else if (type === 'quarter') {
       if (!quarter) {
         return res.status(400).json({ 
           message: 'Thiếu thông tin quý' 
         });
       }
-      const startMonth = (quarter - 1) * 3;
-      startDate = new Date(year, startMonth, 1);
-      endDate = new Date(year, startMonth + 3, 0);
+      const startMonth = (quarter - 1) * 3 + 1;
+      startDate = getMonthRange(year, startMonth).startDate;
+      endDate = getMonthRange(year, startMonth + 2).endDate;
     } else {
       return res.status(400).json({ 
         message: 'Type không hợp lệ' 
       });
     }
 
+    // Số ngày làm việc của lịch tổ chức trong kỳ. Lương giờ của từng nhân viên tính theo
+    // giờ chuẩn và ngày làm việc của ca áp dụng, quy về một tháng với kỳ theo quý.
+    const [workingDays, employees] = await Promise.all([
+      Holiday.countWorkingDays(startDate, endDate),
+      Employee.find().select('salary department shift timezone')
+    ]);
+    const { hourlyRate, dailyHours } = await Employee.salaryRateExpressions(employees, startDate, endDate, type === 'quarter' ? 3 : 1);
+
     const stats = await Employee.aggregate([
       {
         $lookup: {
@@ -241,16 +268,21 @@ router.get('/salary', [auth, isAdmin], async (req, res) => {
                     { $eq: ['$employeeId', '$$employeeId'] },
                     { $gte: ['$date', startDate] },
                     { $lte: ['$date', endDate] },
-                    { $eq: ['$status', 'present'] }
+                    { $in: ['$status', ['present', 'leave']] }
                   ]
                 }
               }
             },
+            ...Attendance.paidLeaveStages(),
             {
               $group: {
                 _id: null,
                 totalWorkingHours: { $sum: { $ifNull: ['$workingHours', 0] } },
-                totalOvertimeHours: { $sum: { $ifNull: ['$overtime', 0] } }
+                totalRegularHours: { $sum: regularHoursExpression() },
+                totalOvertimeHours: { $sum: { $ifNull: ['$overtime', 0] } },
+                totalNightHours: { $sum: { $ifNull: ['$nightHours', 0] } },
+                paidLeaveDays: { $sum: '$paidLeave' },
+                ...overtimeGroupFields()
               }
             }
           ],
@@ -274,21 +306,36 @@ router.get('/salary', [auth, isAdmin], async (req, res) => {
           overtimeHours: { 
             $ifNull: [{ $first: '$attendanceStats.totalOvertimeHours' }, 0] 
           },
-          standardHours: { $multiply: [8, 22] },
-          hourlyRate: {
-            $divide: ['$salary', { $multiply: [8, 22] }]
+          nightHours: {
+            $ifNull: [{ $first: '$attendanceStats.totalNightHours' }, 0]
           },
+          hourlyRate,
+          // Giờ làm thêm được trả lương tính riêng theo hệ số, không tính vào lương thường
           regularPay: {
             $multiply: [
-              { $divide: ['$salary', { $multiply: [8, 22] }] },
-              { $ifNull: [{ $first: '$attendanceStats.totalWorkingHours' }, 0] }
+              hourlyRate,
+              { $ifNull: [{ $first: '$attendanceStats.totalRegularHours' }, 0] }
+            ]
+          },
+          // Lương ngày nghỉ có lương theo giờ chuẩn một ngày của ca
+          leavePay: {
+            $multiply: [
+              hourlyRate,
+              dailyHours,
+              { $ifNull: [{ $first: '$attendanceStats.paidLeaveDays' }, 0] }
             ]
           },
-          overtimePay: {
+          // Tiền làm thêm theo hệ số ngày thường, ngày nghỉ, ngày lễ và phần làm thêm ban đêm
+          overtimePay: overtimePayExpression(
+            hourlyRate,
+            field => ({ $first: `$attendanceStats.${field}` })
+          ),
+          // Phụ cấp làm đêm
+          nightPay: {
             $multiply: [
-              { $divide: ['$salary', { $multiply: [8, 22] }] },
-              { $ifNull: [{ $first: '$attendanceStats.totalOvertimeHours' }, 0] },
-              1.5
+              hourlyRate,
+              { $ifNull: [{ $first: '$attendanceStats.totalNightHours' }, 0] },
+              nightPolicy.premiumRate
             ]
           }
         }
@@ -300,10 +347,13 @@ router.get('/salary', [auth, isAdmin], async (req, res) => {
           baseSalary: '$salary',
           workingHours: 1,
           overtimeHours: 1,
+          nightHours: 1,
           regularPay: { $round: ['$regularPay', 2] },
+          leavePay: { $round: ['$leavePay', 2] },
           overtimePay: { $round: ['$overtimePay', 2] },
+          nightPay: { $round: ['$nightPay', 2] },
           totalSalary: {
-            $round: [{ $add: ['$regularPay', '$overtimePay'] }, 2]
+            $round: [{ $add: ['$regularPay', '$leavePay', '$overtimePay', '$nightPay'] }, 2]
           }
         }
       },
@@ -318,15 +368,20 @@ router.get('/salary', [auth, isAdmin], async (req, res) => {
               baseSalary: '$baseSalary',
               workingHours: '$workingHours',
               overtimeHours: '$overtimeHours', 
+              nightHours: '$nightHours',
               regularPay: '$regularPay',
+              leavePay: '$leavePay',
               overtimePay: '$overtimePay',
+              nightPay: '$nightPay',
               totalSalary: '$totalSalary'
             }
           },
           totalEmployees: { $sum: 1 },
           totalBaseSalary: { $sum: '$baseSalary' },
           totalRegularPay: { $sum: '$regularPay' },
+          totalLeavePay: { $sum: '$leavePay' },
           totalOvertimePay: { $sum: '$overtimePay' },
+          totalNightPay: { $sum: '$nightPay' },
           totalSalary: { $sum: '$totalSalary' }
         }
       }
@@ -337,7 +392,8 @@ router.get('/salary', [auth, isAdmin], async (req, res) => {
       period: {
         type,
         year,
-        ...(type === 'month' ? { month } : { quarter })
+        ...(type === 'month' ? { month } : { quarter }),
+        workingDays
       },
       departments: stats,
       summary: {
@@ -440,12 +496,12 @@ router.get('/export', [auth, isAdmin], async (req, res) => {
         let dateFilter = {};
         if (month) {
           dateFilter = {
-            year: parseInt(year) || currentDate.getFullYear(),
+            year: parseInt(year) || getDateParts(currentDate).year,
             month: parseInt(month)
           };
         } else if (quarter) {
           dateFilter = {
-            year: parseInt(year) || currentDate.getFullYear(),
+            year: parseInt(year) || getDateParts(currentDate).year,
             quarter: parseInt(quarter)
           };
         }
@@ -504,7 +560,8 @@ router.get('/export', [auth, isAdmin], async (req, res) => {
         break;
 
       case 'attendance':
-        const startOfMonth = new Date(currentDate.getFullYear(), currentDate.getMonth(), 1);
+        const { year: currentYear, month: currentMonth } = getDateParts(currentDate);
+        const { startDate: startOfMonth } = getMonthRange(currentYear, currentMonth);
         
         data = await Attendance.aggregate([
           {
@@ -539,8 +596,18 @@ router.get('/export', [auth, isAdmin], async (req, res) => {
               'Số Lần Đi Muộn': { 
                 $sum: { $cond: [{ $gt: ['$lateMinutes', 0] }, 1, 0] }
               },
+              'Số Lần Về Sớm': {
+                $sum: { $cond: [{ $gt: ['$earlyLeaveMinutes', 0] }, 1, 0] }
+              },
+              'Ngày Vắng Do Vi Phạm': { $sum: '$absenceDays' },
               'Giờ Làm Trung Bình': { 
                 $round: [{ $avg: '$workingHours' }, 2] 
+              },
+              'Ngày Tại Văn Phòng': {
+                $sum: { $cond: [{ $and: [{ $eq: ['$status', 'present'] }, { $ne: ['$workMode', 'remote'] }] }, 1, 0] }
+              },
+              'Ngày Làm Từ Xa': {
+                $sum: { $cond: [{ $and: [{ $eq: ['$status', 'present'] }, { $eq: ['$workMode', 'remote'] }] }, 1, 0] }
               }
             }
           },
@@ -551,7 +618,11 @@ router.get('/export', [auth, isAdmin], async (req, res) => {
               'Phòng Ban': 1,
               'Số Ngày Làm Việc': 1,
               'Số Lần Đi Muộn': 1,
-              'Giờ Làm Trung Bình': 1
+              'Số Lần Về Sớm': 1,
+              'Ngày Vắng Do Vi Phạm': 1,
+              'Giờ Làm Trung Bình': 1,
+              'Ngày Tại Văn Phòng': 1,
+              'Ngày Làm Từ Xa': 1
             }
           }
         ]);
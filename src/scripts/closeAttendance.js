@@ -0,0 +1,22 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { runAttendanceClosing } = require('../jobs/attendanceClosing');
+
+// Chạy thủ công: npm run close-attendance -- [YYYY-MM-DD] (mặc định ngày hôm qua)
+const closeAttendance = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Đã kết nối đến database');
+
+    const result = await runAttendanceClosing({ date: process.argv[2] });
+    console.log(`Ngày ${result.date}: đã đóng ${result.closed} lượt chưa check-out, ghi nhận ${result.absent} nhân viên vắng mặt`);
+  } catch (error) {
+    console.error('Lỗi:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Đã ngắt kết nối database');
+  }
+};
+
+closeAttendance();
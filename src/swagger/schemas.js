@@ -20,6 +20,12 @@
  *               type: string
  *             fullName:
  *               type: string
+ *         shift:
+ *           type: string
+ *           description: ID ca làm việc mặc định của phòng ban
+ *         timezone:
+ *           type: string
+ *           description: Múi giờ của phòng ban/chi nhánh (mặc định theo múi giờ tổ chức)
  *         isActive:
  *           type: boolean
  *         employeeCount:
@@ -63,6 +69,21 @@
  *           format: date
  *         avatarUrl:
  *           type: string
+ *         shift:
+ *           type: string
+ *           description: ID ca làm việc riêng của nhân viên
+ *         timezone:
+ *           type: string
+ *           description: Múi giờ riêng của nhân viên (mặc định theo phòng ban)
+ *         attendanceCode:
+ *           type: string
+ *           description: Mã người dùng trên máy chấm công vân tay
+ *         remoteDaysPerMonth:
+ *           type: number
+ *           description: Định mức ngày làm từ xa mỗi tháng (mặc định theo chính sách chung)
+ *         overtimeRate:
+ *           type: number
+ *           description: Hệ số làm thêm giờ riêng thay cho hệ số ngày thường (mặc định theo chính sách 150%/200%/300%)
  *       required:
  *         - fullName
  *         - dateOfBirth
@@ -121,4 +142,8 @@
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *     kioskKey:
+ *       type: apiKey
+ *       in: header
+ *       name: X-Kiosk-Key
  */ 
\ No newline at end of file
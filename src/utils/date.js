@@ -0,0 +1,177 @@
+const { timezone: defaultTimeZone } = require('../config/policy');
+
+// Mọi phép tính ngày đều theo múi giờ của tổ chức (hoặc múi giờ được truyền vào),
+// không phụ thuộc múi giờ của server
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Năm, tháng (1-12), ngày, giờ, phút, giây và thứ (0 = Chủ nhật) của thời điểm date theo múi giờ
+const getDateParts = (date, timeZone = defaultTimeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour) % 24,
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+// Độ lệch (phút) của múi giờ so với UTC tại thời điểm date
+const getOffset = (date, timeZone) => {
+  const parts = getDateParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return (asUtc - Math.floor(date.getTime() / 1000) * 1000) / (1000 * 60);
+};
+
+// Thời điểm ứng với ngày giờ theo lịch của múi giờ. Tháng, ngày vượt giới hạn được
+// tự chuyển sang tháng/năm kế tiếp như Date.UTC (ngày 0 là ngày cuối tháng trước).
+const zonedTime = (year, month, day, hours, minutes, timeZone) => {
+  const utc = Date.UTC(year, month - 1, day, hours, minutes);
+  const guess = new Date(utc - getOffset(new Date(utc), timeZone) * 60 * 1000);
+  // Tính lại độ lệch tại thời điểm đoán được để xử lý múi giờ có giờ mùa hè
+  return new Date(utc - getOffset(guess, timeZone) * 60 * 1000);
+};
+
+// Thời điểm ứng với các thành phần ngày giờ theo lịch (như kết quả của getDateParts)
+const fromDateParts = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone = defaultTimeZone) => {
+  return new Date(zonedTime(year, month, day, hour, minute, timeZone).getTime() + second * 1000);
+};
+
+// Thời điểm 00:00 của ngày theo lịch (tháng từ 1 đến 12)
+const dateInZone = (year, month, day, timeZone = defaultTimeZone) => {
+  return zonedTime(year, month, day, 0, 0, timeZone);
+};
+
+// Lấy thời điểm 00:00 của một ngày. Chuỗi dạng YYYY-MM-DD được hiểu là ngày theo lịch.
+const startOfDay = (date, timeZone = defaultTimeZone) => {
+  if (typeof date === 'string' && DATE_ONLY_PATTERN.test(date)) {
+    const [year, month, day] = date.split('-').map(Number);
+    return dateInZone(year, month, day, timeZone);
+  }
+  const { year, month, day } = getDateParts(date, timeZone);
+  return dateInZone(year, month, day, timeZone);
+};
+
+// Ngày theo lịch dạng YYYY-MM-DD
+const formatDate = (date, timeZone = defaultTimeZone) => {
+  const { year, month, day } = getDateParts(date, timeZone);
+  return [year, String(month).padStart(2, '0'), String(day).padStart(2, '0')].join('-');
+};
+
+// Cộng thêm số ngày theo lịch, giữ nguyên giờ trong ngày
+const addDays = (date, days, timeZone = defaultTimeZone) => {
+  const parts = getDateParts(date, timeZone);
+  return zonedTime(parts.year, parts.month, parts.day + days, parts.hour, parts.minute, timeZone);
+};
+
+// Thứ trong tuần (0 = Chủ nhật)
+const getDay = (date, timeZone = defaultTimeZone) => {
+  return getDateParts(date, timeZone).weekday;
+};
+
+const isWeekend = (date, timeZone = defaultTimeZone) => {
+  const day = getDay(date, timeZone);
+  return day === 0 || day === 6;
+};
+
+// Ngày đầu tiên và ngày cuối cùng (00:00) của tháng
+const getMonthRange = (year, month, timeZone = defaultTimeZone) => {
+  return {
+    startDate: dateInZone(Number(year), Number(month), 1, timeZone),
+    endDate: dateInZone(Number(year), Number(month) + 1, 0, timeZone)
+  };
+};
+
+// Danh sách các ngày (00:00) từ start đến end, bao gồm cả hai đầu
+const eachDay = (start, end, timeZone = defaultTimeZone) => {
+  const days = [];
+  let current = startOfDay(start, timeZone);
+  const last = startOfDay(end, timeZone);
+  while (current <= last) {
+    days.push(current);
+    current = addDays(current, 1, timeZone);
+  }
+  return days;
+};
+
+// Đặt giờ 'HH:mm' cho một ngày
+const setTime = (date, time, timeZone = defaultTimeZone) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const { year, month, day } = getDateParts(date, timeZone);
+  return zonedTime(year, month, day, hours, minutes, timeZone);
+};
+
+// Số giờ giao nhau giữa khoảng [start, end] và khung giờ hằng ngày [startTime, endTime].
+// Khung giờ có thể qua nửa đêm, ví dụ 22:00 - 06:00.
+const overlapDailyWindow = (start, end, startTime, endTime, timeZone = defaultTimeZone) => {
+  let minutes = 0;
+  const firstDay = addDays(startOfDay(start, timeZone), -1, timeZone);
+
+  for (const day of eachDay(firstDay, end, timeZone)) {
+    const windowStart = setTime(day, startTime, timeZone);
+    let windowEnd = setTime(day, endTime, timeZone);
+    if (windowEnd <= windowStart) {
+      windowEnd = addDays(windowEnd, 1, timeZone);
+    }
+
+    const from = Math.max(start.getTime(), windowStart.getTime());
+    const to = Math.min(end.getTime(), windowEnd.getTime());
+    if (to > from) {
+      minutes += (to - from) / (1000 * 60);
+    }
+  }
+
+  return Number((minutes / 60).toFixed(2));
+};
+
+module.exports = {
+  defaultTimeZone,
+  isValidTimeZone,
+  getDateParts,
+  fromDateParts,
+  dateInZone,
+  startOfDay,
+  formatDate,
+  addDays,
+  getDay,
+  isWeekend,
+  getMonthRange,
+  eachDay,
+  setTime,
+  overlapDailyWindow
+};
@@ -0,0 +1,43 @@
+const net = require('net');
+
+// Địa chỉ IPv4 dạng IPv6 (::ffff:1.2.3.4) được đưa về IPv4
+const normalizeIp = (ip) => {
+  if (!ip) return ip;
+  const match = String(ip).match(/^::ffff:(\d{1,3}(\.\d{1,3}){3})$/i);
+  return match ? match[1] : String(ip);
+};
+
+// Tách dải mạng dạng CIDR (10.0.0.0/8, 2001:db8::/32). Địa chỉ đơn lẻ được xem là /32 hoặc /128.
+const parseCidr = (cidr) => {
+  const [address, prefix] = String(cidr).trim().split('/');
+  const family = net.isIP(address);
+  if (!family) return null;
+
+  const maxPrefix = family === 4 ? 32 : 128;
+  if (prefix !== undefined && !/^\d+$/.test(prefix)) return null;
+  const bits = prefix === undefined ? maxPrefix : Number(prefix);
+  if (bits > maxPrefix) return null;
+
+  return { address, prefix: bits, type: family === 4 ? 'ipv4' : 'ipv6' };
+};
+
+const isValidCidr = (cidr) => parseCidr(cidr) !== null;
+
+// Kiểm tra địa chỉ IP có thuộc một trong các dải mạng hay không
+const isIpInNetworks = (ip, networks) => {
+  const address = normalizeIp(ip);
+  const family = net.isIP(address || '');
+  if (!family || !networks || networks.length === 0) return false;
+
+  const blockList = new net.BlockList();
+  networks.map(parseCidr).filter(Boolean).forEach(network => {
+    blockList.addSubnet(network.address, network.prefix, network.type);
+  });
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+module.exports = {
+  normalizeIp,
+  isValidCidr,
+  isIpInNetworks
+};
@@ -0,0 +1,89 @@
+const { overtime: overtimePolicy } = require('../config/policy');
+
+// Loại ngày làm thêm giờ: ngày làm việc của ca, ngày nghỉ hằng tuần của ca, ngày lễ
+const DAY_TYPES = ['weekday', 'weekend', 'holiday'];
+
+// Hệ số làm thêm theo loại ngày. Hệ số riêng của nhân viên thay cho hệ số ngày thường,
+// ngày nghỉ và ngày lễ không thấp hơn hệ số riêng đó.
+const getOvertimeRates = (overtimeRate) => {
+  const { rates } = overtimePolicy;
+  if (overtimeRate === undefined || overtimeRate === null) return { ...rates };
+  return {
+    weekday: overtimeRate,
+    weekend: Math.max(rates.weekend, overtimeRate),
+    holiday: Math.max(rates.holiday, overtimeRate)
+  };
+};
+
+// Tiền làm thêm từ số giờ theo loại ngày: { weekday: { hours, nightHours }, ... }
+const calculateOvertimePay = (hourlyRate, hoursByType, overtimeRate) => {
+  const rates = getOvertimeRates(overtimeRate);
+  const breakdown = {};
+  let total = 0;
+  DAY_TYPES.forEach(type => {
+    const { hours = 0, nightHours = 0 } = hoursByType[type] || {};
+    const pay = hourlyRate * rates[type] * (hours + nightHours * overtimePolicy.nightPremiumRate);
+    breakdown[type] = { hours, nightHours, rate: rates[type], pay: Number(pay.toFixed(2)) };
+    total += pay;
+  });
+  return { total: Number(total.toFixed(2)), breakdown };
+};
+
+// Các trường $group tổng hợp giờ làm thêm được trả lương (và phần làm ban đêm) theo loại ngày.
+// Bản ghi cũ chưa được phân loại tính là ngày thường, ngày làm thêm chọn nghỉ bù không được tính:
+// số giờ đó được cộng vào số dư nghỉ bù và trả lương khi nghỉ (loại nghỉ có lương), nên cũng
+// không tính vào lương thường (regularHoursExpression).
+const overtimeGroupFields = () => DAY_TYPES.reduce((fields, type) => {
+  const isType = {
+    $and: [
+      { $eq: [{ $ifNull: ['$dayType', 'weekday'] }, type] },
+      { $lte: [{ $ifNull: ['$toilHours', 0] }, 0] }
+    ]
+  };
+  fields[`${type}OvertimeHours`] = { $sum: { $cond: [isType, { $ifNull: ['$overtime', 0] }, 0] } };
+  fields[`${type}OvertimeNightHours`] = { $sum: { $cond: [isType, { $ifNull: ['$overtimeNightHours', 0] }, 0] } };
+  return fields;
+}, {});
+
+// Số giờ tính lương thường của một bản ghi. workingHours đã gồm giờ làm thêm: giờ được trả
+// lương tính riêng theo hệ số, giờ chọn nghỉ bù được trả khi nghỉ, nên đều bị trừ ra.
+const regularHoursExpression = () => ({
+  $subtract: [{ $ifNull: ['$workingHours', 0] }, { $ifNull: ['$overtime', 0] }]
+});
+
+// Biểu thức aggregate tính tiền làm thêm theo hệ số của nhân viên ($overtimeRate).
+// getField nhận tên trường của overtimeGroupFields và trả về biểu thức lấy giá trị đó.
+const overtimePayExpression = (hourlyRate, getField) => {
+  const { rates, nightPremiumRate } = overtimePolicy;
+  const rateOf = type => (type === 'weekday'
+    ? { $ifNull: ['$overtimeRate', rates.weekday] }
+    : { $max: [rates[type], { $ifNull: ['$overtimeRate', 0] }] });
+
+  return {
+    $multiply: [
+      hourlyRate,
+      {
+        $add: DAY_TYPES.map(type => ({
+          $multiply: [
+            rateOf(type),
+            {
+              $add: [
+                { $ifNull: [getField(`${type}OvertimeHours`), 0] },
+                { $multiply: [{ $ifNull: [getField(`${type}OvertimeNightHours`), 0] }, nightPremiumRate] }
+              ]
+            }
+          ]
+        }))
+      }
+    ]
+  };
+};
+
+module.exports = {
+  DAY_TYPES,
+  getOvertimeRates,
+  calculateOvertimePay,
+  overtimeGroupFields,
+  regularHoursExpression,
+  overtimePayExpression
+};
@@ -0,0 +1,162 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { fromDateParts } = require('./date');
+
+// Tên cột thường gặp trong file xuất từ máy chấm công vân tay
+const COLUMN_ALIASES = {
+  code: ['code', 'employee code', 'user id', 'userid', 'enroll no', 'enrollno', 'ac-no', 'ac-no.', 'pin', 'mã nv', 'mã nhân viên', 'mã chấm công'],
+  timestamp: ['timestamp', 'datetime', 'date time', 'date/time', 'check time', 'checktime', 'punch time', 'thời gian'],
+  date: ['date', 'ngày'],
+  time: ['time', 'giờ'],
+  device: ['device', 'device id', 'terminal', 'machine', 'sn', 'thiết bị', 'máy']
+};
+
+// Ngày giờ không kèm múi giờ: YYYY-MM-DD HH:mm[:ss], YYYY/MM/DD HH:mm[:ss] hoặc DD/MM/YYYY HH:mm[:ss]
+const YEAR_FIRST_PATTERN = /^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const DAY_FIRST_PATTERN = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/;
+const ZONED_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/;
+
+const normalizeHeader = (value) => String(value ?? '').trim().toLowerCase();
+
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    // Ô có định dạng (rich text, công thức...) trong file Excel
+    if (value.richText) return value.richText.map(part => part.text).join('').trim();
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return String(value.text).trim();
+  }
+  return String(value).trim();
+};
+
+// Chuyển giá trị ô thành thời điểm theo múi giờ của nhân viên.
+// Máy chấm công ghi giờ địa phương, nên ô ngày giờ của Excel (không có múi giờ)
+// được đọc theo các thành phần UTC rồi đặt vào múi giờ của nhân viên.
+const parseTimestamp = (value, timeZone) => {
+  if (value instanceof Date) {
+    if (isNaN(value)) return null;
+    return fromDateParts({
+      year: value.getUTCFullYear(),
+      month: value.getUTCMonth() + 1,
+      day: value.getUTCDate(),
+      hour: value.getUTCHours(),
+      minute: value.getUTCMinutes(),
+      second: value.getUTCSeconds()
+    }, timeZone);
+  }
+
+  const text = String(value).trim();
+  if (ZONED_PATTERN.test(text)) {
+    const date = new Date(text);
+    return isNaN(date) ? null : date;
+  }
+
+  let match = text.match(YEAR_FIRST_PATTERN);
+  let parts;
+  if (match) {
+    parts = { year: match[1], month: match[2], day: match[3] };
+  } else {
+    match = text.match(DAY_FIRST_PATTERN);
+    if (!match) return null;
+    parts = { year: match[3], month: match[2], day: match[1] };
+  }
+
+  const [hour, minute, second] = match.slice(4).map(value => Number(value || 0));
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59 || second > 59) {
+    return null;
+  }
+  return fromDateParts({ year: Number(parts.year), month, day, hour, minute, second }, timeZone);
+};
+
+// Ghép cột ngày và cột giờ riêng (nếu file tách hai cột) thành một giá trị ngày giờ
+const combineDateTime = (dateValue, timeValue) => {
+  if (dateValue instanceof Date && timeValue instanceof Date) {
+    return new Date(Date.UTC(
+      dateValue.getUTCFullYear(), dateValue.getUTCMonth(), dateValue.getUTCDate(),
+      timeValue.getUTCHours(), timeValue.getUTCMinutes(), timeValue.getUTCSeconds()
+    ));
+  }
+  const datePart = dateValue instanceof Date ? dateValue.toISOString().slice(0, 10) : dateValue;
+  const timePart = timeValue instanceof Date ? timeValue.toISOString().slice(11, 19) : timeValue;
+  return `${datePart} ${timePart}`.trim();
+};
+
+// Chọn dấu phân cách phổ biến nhất ở dòng đầu của file CSV
+const detectDelimiter = (buffer) => {
+  const firstLine = buffer.toString('utf8', 0, Math.min(buffer.length, 4096)).split(/\r?\n/)[0];
+  return [',', ';', '\t']
+    .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+    .sort((a, b) => b.count - a.count)[0].delimiter;
+};
+
+const loadWorksheet = async (buffer, filename) => {
+  const workbook = new ExcelJS.Workbook();
+  if (/\.xlsx$/i.test(filename)) {
+    await workbook.xlsx.load(buffer);
+    return workbook.worksheets[0];
+  }
+  // Giữ nguyên giá trị dạng chuỗi để không mất số 0 ở đầu mã nhân viên
+  // và không để thư viện tự hiểu ngày giờ theo múi giờ của server
+  return workbook.csv.read(Readable.from(buffer), {
+    map: value => value,
+    parserOptions: { delimiter: detectDelimiter(buffer), trim: true }
+  });
+};
+
+const findColumn = (headers, aliases) => {
+  const index = headers.findIndex(header => aliases.includes(header));
+  return index === -1 ? null : index;
+};
+
+// Đọc file CSV/XLSX xuất từ máy chấm công. Dòng đầu tiên là tiêu đề cột.
+// Trả về các dòng { row, code, value, device } với value là giá trị ngày giờ chưa chuyển múi giờ,
+// hoặc ném lỗi nếu file không có các cột bắt buộc.
+const readPunchFile = async (buffer, filename) => {
+  const worksheet = await loadWorksheet(buffer, filename);
+  if (!worksheet || worksheet.rowCount === 0) {
+    throw new Error('File không có dữ liệu');
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, column) => {
+    headers[column] = normalizeHeader(cellText(cell.value));
+  });
+
+  const columns = {};
+  Object.keys(COLUMN_ALIASES).forEach(key => {
+    columns[key] = findColumn(headers, COLUMN_ALIASES[key]);
+  });
+  const hasTimestamp = columns.timestamp !== null || (columns.date !== null && columns.time !== null);
+  if (columns.code === null || !hasTimestamp) {
+    throw new Error('File phải có cột mã nhân viên và cột thời gian (hoặc hai cột ngày, giờ)');
+  }
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const value = column => column === null ? '' : cellText(row.getCell(column).value);
+
+    const code = value(columns.code);
+    const timestamp = columns.timestamp !== null
+      ? value(columns.timestamp)
+      : combineDateTime(value(columns.date), value(columns.time));
+    if (!code && !timestamp) return;
+
+    rows.push({
+      row: rowNumber,
+      code: String(code),
+      value: timestamp,
+      device: columns.device !== null ? String(value(columns.device)) || undefined : undefined
+    });
+  });
+
+  return rows;
+};
+
+module.exports = {
+  readPunchFile,
+  parseTimestamp
+};
@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const Employee = require('../models/Employee');
+const AttendancePeriod = require('../models/AttendancePeriod');
+const activityLogger = require('../middleware/activityLogger');
+
+// Quy trình xử lý chung cho các loại đơn theo khoảng ngày (nghỉ phép, làm việc từ xa):
+// admin phê duyệt, từ chối/thu hồi, nhân viên tự hủy trước ngày bắt đầu. Mỗi loại đơn cung cấp:
+// - Model, entityType (ghi log), name (ví dụ 'nghỉ phép') và responseKey (khóa trả về đơn)
+// - validateApproval(request, employee, timeZone): trả về nội dung lỗi 400 nếu không được duyệt
+// - apply(request, employee, timeZone): áp dụng đơn đã duyệt vào chấm công, số dư...
+// - revert(request, employee, timeZone): hoàn tác khi đơn đã duyệt bị thu hồi hoặc hủy
+const createRequestWorkflow = ({ Model, entityType, name, responseKey, validateApproval, apply, revert }) => {
+  const notFoundMessage = `Không tìm thấy đơn ${name}`;
+
+  const findRequest = async (id) => {
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+    return Model.findById(id);
+  };
+
+  // Kỳ chấm công đã khóa chứa ngày của đơn, theo múi giờ của nhân viên
+  const findLockedPeriod = (request, timeZone) => AttendancePeriod.findLocked(request.startDate, request.endDate, timeZone);
+
+  const lockedResponse = (res, lockedPeriod) => (
+    res.status(400).json({ message: lockedPeriod.getLockedMessage(), period: lockedPeriod })
+  );
+
+  const respond = async (req, res, request, previousStatus, message) => {
+    req.changes = { status: { from: previousStatus, to: request.status } };
+    await activityLogger('update', entityType)(req, res);
+    res.json({ message, [responseKey]: request });
+  };
+
+  const approve = async (req, res) => {
+    try {
+      const request = await findRequest(req.params.id);
+      if (!request) {
+        return res.status(404).json({ message: notFoundMessage });
+      }
+
+      if (request.status !== 'pending') {
+        return res.status(400).json({ message: 'Chỉ có thể duyệt đơn đang chờ duyệt' });
+      }
+
+      const employee = await Employee.findById(request.employeeId);
+      if (!employee) {
+        return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+      }
+
+      const timeZone = await employee.resolveTimezone();
+      const lockedPeriod = await findLockedPeriod(request, timeZone);
+      if (lockedPeriod) return lockedResponse(res, lockedPeriod);
+
+      const error = validateApproval && await validateApproval(request, employee, timeZone);
+      if (error) {
+        return res.status(400).json(error);
+      }
+
+      req.originalBody = request.toObject();
+
+      request.status = 'approved';
+      request.approvedBy = req.user._id;
+      request.approvedAt = new Date();
+      await request.save();
+
+      // Không áp dụng được vào chấm công/số dư thì trả đơn về chờ duyệt để admin duyệt lại
+      try {
+        await apply(request, employee, timeZone);
+      } catch (error) {
+        request.status = 'pending';
+        request.approvedBy = undefined;
+        request.approvedAt = undefined;
+        await request.save();
+        throw error;
+      }
+
+      await respond(req, res, request, 'pending', `Đã phê duyệt đơn ${name}`);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+
+  const reject = async (req, res) => {
+    try {
+      const { reason } = req.body;
+      if (!reason) {
+        return res.status(400).json({ message: 'Vui lòng nhập lý do từ chối' });
+      }
+
+      const request = await findRequest(req.params.id);
+      if (!request) {
+        return res.status(404).json({ message: notFoundMessage });
+      }
+
+      if (!['pending', 'approved'].includes(request.status)) {
+        return res.status(400).json({ message: 'Chỉ có thể từ chối đơn đang chờ duyệt hoặc đã duyệt' });
+      }
+
+      // Thu hồi đơn đã duyệt làm thay đổi chấm công nên không được phép trong kỳ đã khóa
+      const previousStatus = request.status;
+      let employee;
+      let timeZone;
+      if (previousStatus === 'approved') {
+        employee = await Employee.findById(request.employeeId);
+        if (!employee) {
+          return res.status(404).json({ message: 'Không tìm thấy nhân viên' });
+        }
+        timeZone = await employee.resolveTimezone();
+        const lockedPeriod = await findLockedPeriod(request, timeZone);
+        if (lockedPeriod) return lockedResponse(res, lockedPeriod);
+      }
+
+      req.originalBody = request.toObject();
+
+      request.status = 'rejected';
+      request.rejectionReason = reason;
+      request.approvedBy = req.user._id;
+      request.approvedAt = new Date();
+      await request.save();
+
+      if (previousStatus === 'approved') {
+        await revert(request, employee, timeZone);
+      }
+
+      await respond(req, res, request, previousStatus, `Đã từ chối đơn ${name}`);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+
+  const cancel = async (req, res) => {
+    try {
+      const employee = await Employee.findOne({ userId: req.user._id });
+      const request = await findRequest(req.params.id);
+      if (!request) {
+        return res.status(404).json({ message: notFoundMessage });
+      }
+
+      if (!employee || request.employeeId.toString() !== employee._id.toString()) {
+        return res.status(403).json({ message: 'Không có quyền hủy đơn này' });
+      }
+
+      if (!['pending', 'approved'].includes(request.status)) {
+        return res.status(400).json({ message: `Đơn ${name} không thể hủy` });
+      }
+
+      if (request.startDate <= new Date()) {
+        return res.status(400).json({ message: 'Không thể hủy đơn đã đến ngày bắt đầu' });
+      }
+
+      const timeZone = await employee.resolveTimezone();
+      const lockedPeriod = await findLockedPeriod(request, timeZone);
+      if (lockedPeriod) return lockedResponse(res, lockedPeriod);
+
+      req.originalBody = request.toObject();
+      const previousStatus = request.status;
+
+      request.status = 'cancelled';
+      request.cancelledAt = new Date();
+      await request.save();
+
+      if (previousStatus === 'approved') {
+        await revert(request, employee, timeZone);
+      }
+
+      await respond(req, res, request, previousStatus, `Đã hủy đơn ${name}`);
+    } catch (error) {
+      res.status(500).json({ message: error.message });
+    }
+  };
+
+  return { approve, reject, cancel };
+};
+
+module.exports = { createRequestWorkflow };